@@ -1,30 +1,143 @@
 const AccessTokenEndpoint = '/api/token'; // Use your own endpoint here
 const ListModelsEndpoint = '/api/models'; // Use your own endpoint here
+const HubsEndpoint = '/api/hubs'; // Use your own endpoint here
+const TranslationPollInterval = 5000; // How often (in ms) to check the status of translations started from the app
+const SummaryPollInterval = 5000; // How often (in ms) to list models again while the server is still describing some of them
+const ConfigEndpoint = '/api/config'; // Use your own endpoint here
+const LoginEndpoint = '/api/auth/login'; // Use your own endpoint here
+const LogoutEndpoint = '/api/auth/logout'; // Use your own endpoint here
+const WorkerEventsChannel = 'aps-disconnected-events'; // BroadcastChannel of cache lifecycle and connectivity events of the service worker
+const MarkupLayer = 'issue-markup'; // ID of the MarkupsCore layer showing the markup of an issue
+const LocationUpdateDelay = 1000; // How long (in ms) to wait after the last change of the view before recording it in the URL
 
 let viewer = null; // Viewing application
 let currentUrn = null; // Currently open URN
 let accessToken = null; // Access token used by the viewer
+let accessTokenExpiresAt = 0; // Time (in ms) when the access token expires
+let downloads = new Map(); // Progress of model downloads running in the service worker, keyed by URN
+let models = []; // Viewable models, each with its 'urn' and the 'sha1' hash of the design
+let packages = []; // Offline packages of (at least partially) cached models, as reported by the service worker
+let searchWorker = null; // Web worker searching properties of cached models
+let searchResults = []; // Elements matching the last search, each with its 'urn', 'dbId', and 'name'
+let pendingIsolation = null; // Elements to isolate once the model being loaded is ready
+let issues = []; // Issues of the currently open model, as reported by the service worker
+let views = []; // Saved views of the currently open model, as reported by the service worker
+let pendingState = null; // Viewer state to restore once the model being loaded is ready
+let onGeometryLoaded = null; // Listener of the geometry of the model being loaded (see `loadModel`)
+let locationTimer = null; // Timer of the pending update of the URL (see `scheduleLocationUpdate`)
+let addingIssue = false; // True while waiting for the user to click on the model to place a new issue
+let drawingMarkup = false; // True while the user draws a markup to be saved as a new issue
+let shownMarkup = null; // ID of the issue whose markup is shown over the model
+let translations = new Map(); // Status of translations of models uploaded from the app, keyed by URN
+let versions = new Map(); // Versions of designs browsed in hubs, each with its 'urn', keyed by URN
+let treeChildren = new Map(); // Children of the nodes in the tree of models, keyed by node ID
+let expandedNodes = new Set([ListModelsEndpoint]); // IDs of expanded nodes in the tree of models
+let encryptionKey = null; // Key encrypting cached models, handed over to the service worker when it's restarted
+let catalog = { query: '', sort: '', filter: '' }; // Search, sort order and filter of the list of models chosen in the overlay
+let summaryTimer = null; // Timer of the next listing of models while their summaries are pending (see `listModels`)
+let renderModels = null; // Renders the list of models with the data of the last update of the overlay (see `updateOverlay`)
+let online = ('onLine' in navigator) ? navigator.onLine : true; // Whether our server can be reached, as reported by the browser and the service worker
 
 const options = {
 	env: 'AutodeskProduction',
 	getAccessToken: function(callback) {
-		fetch(AccessTokenEndpoint)
-		    .then((response) => response.json())
-		    .then((json) => {
-                accessToken = json.access_token;
-                callback(json.access_token, 15 * 60 /* use token for 15 min */);
-            });
+		fetchCredentials()
+		    .then((credentials) => {
+                callback(credentials.access_token, credentials.expires_in);
+            })
+            .catch((err) => console.error('Could not obtain access token', err));
 	}
 };
 
-Autodesk.Viewing.Initializer(options, () => {
-    viewer = new Autodesk.Viewing.GuiViewer3D(document.getElementById('viewer'));
+Autodesk.Viewing.Initializer(options, async () => {
+    const config = await initConfig();
+    viewer = new Autodesk.Viewing.GuiViewer3D(document.getElementById('viewer'), { extensions: config.viewerExtensions || [] });
     viewer.start();
+    viewer.addEventListener(Autodesk.Viewing.CAMERA_CHANGE_EVENT, updateIssuePins);
+    for (const event of [Autodesk.Viewing.CAMERA_CHANGE_EVENT, Autodesk.Viewing.ISOLATE_EVENT, Autodesk.Viewing.CUTPLANES_CHANGE_EVENT, Autodesk.Viewing.SELECTION_CHANGED_EVENT]) {
+        viewer.addEventListener(event, scheduleLocationUpdate);
+    }
+    viewer.container.addEventListener('click', onViewerClick);
+    window.addEventListener('popstate', openLocation);
     initOverlay();
+    fetchCredentials().catch((err) => console.log('Not signed in', err));
     updateOverlay();
     initServiceWorker();
+    openLocation();
+    resumeDownloads().then(() => checkForUpdates());
 });
 
+/**
+ * Obtains the client configuration from our server, and configures the viewer to load derivatives
+ * from the endpoint it provides (for example, from a local mirror of the models). Returns the configuration,
+ * or an empty object if it's not available.
+ */
+async function initConfig() {
+    try {
+        const response = await fetch(ConfigEndpoint);
+        const config = await response.json();
+        if (config.apsEndpoint && config.apsEndpoint !== 'https://developer.api.autodesk.com') {
+            Autodesk.Viewing.endpoint.setEndpointAndApi(config.apsEndpoint, 'derivativeV2');
+        }
+        return config;
+    } catch (err) {
+        console.error('Could not configure viewer endpoint', err);
+        return {};
+    }
+}
+
+/**
+ * Fetches new credentials (`access_token`, `expires_in`, and the signed-in `user`, if any),
+ * stores the access token for later use, and updates the sign-in status in the overlay.
+ * While offline, the service worker responds with the token of the last session, marked as `offline`.
+ */
+async function fetchCredentials() {
+    const response = await fetch(AccessTokenEndpoint);
+    const json = await response.json();
+    updateAuth(response.status, json);
+    if (!response.ok) {
+        throw new Error(json.error || `Could not fetch access token: ${response.status} ${response.statusText}`);
+    }
+    accessToken = json.access_token;
+    accessTokenExpiresAt = json.expires_at || Date.now() + json.expires_in * 1000;
+    return json;
+}
+
+/**
+ * Fetches a new access token, and stores it for later use.
+ */
+async function fetchAccessToken() {
+    const credentials = await fetchCredentials();
+    return credentials.access_token;
+}
+
+/**
+ * Returns the stored access token, or fetches a new one if it has expired.
+ */
+async function getAccessToken() {
+    return (accessToken && accessTokenExpiresAt > Date.now()) ? accessToken : fetchAccessToken();
+}
+
+/**
+ * Shows the sign-in status based on the response of the access token endpoint.
+ */
+function updateAuth(status, credentials) {
+    const auth = document.getElementById('auth');
+    if (status === 401 && !credentials.offline) {
+        auth.innerHTML = `<a href="${LoginEndpoint}">Sign in</a>`;
+    } else if (status === 401) {
+        auth.innerHTML = 'Offline, not signed in';
+    } else if (credentials.user && credentials.offline) {
+        auth.innerHTML = `${credentials.user.name} (offline${credentials.expired ? ', session expired' : ''})`;
+        auth.title = 'You will be signed in again automatically when back online';
+    } else if (credentials.user) {
+        auth.innerHTML = `${credentials.user.name} · <a href="${LogoutEndpoint}">Sign out</a>`;
+        auth.title = '';
+    } else {
+        auth.innerHTML = '';
+    }
+}
+
 /**
  * Initializes the overlay UI.
  */
@@ -33,15 +146,148 @@ function initOverlay() {
     document.querySelector('#models').addEventListener('click', (ev) => {
         const action = ev.target.getAttribute('data-action');
         const urn = ev.target.parentNode.getAttribute('data-urn');
-        if (urn && action) {
+        if (action === 'toggle') {
+            toggleNode(ev.target.parentNode.getAttribute('data-node'));
+        } else if (urn && action) {
             switch (action) {
                 case 'open': loadModel(urn); break;
                 case 'cache': cacheModel(urn); break;
+                case 'repair': repairModel(urn); break;
+                case 'sync': syncModel(urn); break;
                 case 'clear': clearCache(urn); break;
+                case 'select': showViewables(urn); break;
+                case 'pin': pinModel(urn); break;
+                case 'unpin': unpinModel(urn); break;
             }
         }
     });
 
+    // Handle clicks in the list of viewables of a model
+    document.querySelector('#viewables').addEventListener('click', (ev) => {
+        const action = ev.target.getAttribute('data-action');
+        const panel = document.getElementById('viewables');
+        const urn = panel.getAttribute('data-urn');
+        switch (action) {
+            case 'open':
+                loadModel(urn, ev.target.getAttribute('data-guid'));
+                break;
+            case 'cache-selected':
+                if (getSelectedViewables().guids.length > 0) {
+                    cacheModel(urn, getSelectedViewables());
+                    hideViewables();
+                }
+                break;
+            case 'close':
+                hideViewables();
+                break;
+        }
+    });
+
+    // An empty selection of viewables would be treated as no selection at all (that is, the whole model),
+    // so caching is only enabled while at least one viewable is selected
+    document.querySelector('#viewables').addEventListener('change', () => {
+        const button = document.querySelector('#viewables [data-action="cache-selected"]');
+        if (button) {
+            button.disabled = getSelectedViewables().guids.length === 0;
+        }
+    });
+
+    // Search, sort and filter the list of models (all in the browser, so it works offline as well)
+    document.getElementById('catalog-query').addEventListener('input', (ev) => {
+        catalog.query = ev.target.value;
+        renderModels && renderModels();
+    });
+    document.getElementById('catalog-sort').addEventListener('change', (ev) => {
+        catalog.sort = ev.target.value;
+        renderModels && renderModels();
+    });
+    document.getElementById('catalog-filter').addEventListener('change', (ev) => {
+        catalog.filter = ev.target.value;
+        renderModels && renderModels();
+    });
+
+    // Search properties of all cached models when the user hits Enter
+    document.getElementById('search-query').addEventListener('keydown', (ev) => {
+        if (ev.key === 'Enter') {
+            searchProperties(ev.target.value);
+        }
+    });
+    document.getElementById('search-results').addEventListener('click', (ev) => {
+        const action = ev.target.getAttribute('data-action');
+        const urn = ev.target.closest('[data-urn]')?.getAttribute('data-urn');
+        switch (action) {
+            case 'isolate-model':
+                isolateResults(urn, searchResults.filter((result) => result.urn === urn).map((result) => result.dbId));
+                break;
+            case 'isolate':
+                isolateResults(urn, [parseInt(ev.target.getAttribute('data-dbid'))]);
+                break;
+        }
+    });
+
+    // Handle clicks in the list of issues of the open model
+    document.querySelector('#issues').addEventListener('click', (ev) => {
+        const action = ev.target.getAttribute('data-action');
+        const item = ev.target.closest('[data-issue]');
+        const issue = item ? issues.find((issue) => issue.id === item.getAttribute('data-issue')) : null;
+        switch (action) {
+            case 'add': startAddingIssue(); break;
+            case 'draw': startDrawingMarkup(); break;
+            case 'save-markup': saveMarkup(); break;
+            case 'cancel-markup': closeMarkups(); break;
+            case 'hide-markup': closeMarkups(); break;
+            case 'show': showIssue(issue); break;
+            case 'toggle-status': saveIssue({ id: issue.id, urn: issue.urn, status: issue.status === 'open' ? 'closed' : 'open' }); break;
+            case 'delete': deleteIssue(issue); break;
+            case 'keep-local': resolveIssue(issue, 'local'); break;
+            case 'keep-remote': resolveIssue(issue, 'remote'); break;
+        }
+    });
+
+    // Handle clicks in the list of saved views of the open model
+    document.querySelector('#views').addEventListener('click', (ev) => {
+        const action = ev.target.getAttribute('data-action');
+        const item = ev.target.closest('[data-view]');
+        const view = item ? views.find((view) => view.id === item.getAttribute('data-view')) : null;
+        switch (action) {
+            case 'save': saveView(); break;
+            case 'restore': restoreView(view); break;
+            case 'copy-link': copyViewLink(view); break;
+            case 'delete': deleteView(view); break;
+        }
+    });
+
+    // Import model bundles selected by the user
+    document.getElementById('import-bundle').addEventListener('click', () => {
+        document.getElementById('import-bundle-file').click();
+    });
+    document.getElementById('import-bundle-file').addEventListener('change', (ev) => {
+        const file = ev.target.files[0];
+        ev.target.value = '';
+        if (file) {
+            importBundle(file);
+        }
+    });
+
+    // Upload and translate designs selected by the user
+    document.getElementById('upload-model').addEventListener('click', () => {
+        document.getElementById('upload-model-file').click();
+    });
+    document.getElementById('upload-model-file').addEventListener('change', (ev) => {
+        const file = ev.target.files[0];
+        ev.target.value = '';
+        if (file) {
+            uploadModel(file);
+        }
+    });
+
+    // Remove all offline data on request
+    document.getElementById('wipe-data').addEventListener('click', () => {
+        if (confirm('Remove all cached models and offline data, including changes of issues that have not been synchronized yet?')) {
+            wipeOfflineData();
+        }
+    });
+
     // Enable toggling of the debug info
     document.getElementById('debug-toggle').addEventListener('click', (ev) => {
         const table = document.getElementById('debug');
@@ -54,10 +300,99 @@ function initOverlay() {
         }
     });
 
-    // Update debug info as soon as service worker is ready
-    navigator.serviceWorker.ready.then(() => {
+    // Update debug info and settings as soon as service worker is ready
+    navigator.serviceWorker.ready.then(async () => {
         document.getElementById('debug-ready').innerHTML = 'true';
+        setOnline((await submitWorkerTask({ operation: 'GET_CONNECTIVITY' })).online);
+        const { settings } = await submitWorkerTask({ operation: 'GET_SETTINGS' });
+        document.getElementById('debug-eviction').checked = settings.eviction;
+        document.getElementById('security-wipe-after').value = settings.wipeAfterDays;
+        await initEncryption();
+    });
+
+    // Let users decide whether least recently opened models can be evicted when running out of storage
+    document.getElementById('debug-eviction').addEventListener('change', async (ev) => {
+        try {
+            await submitWorkerTask({ operation: 'SET_SETTINGS', settings: { eviction: ev.target.checked } });
+        } catch (err) {
+            console.error('Could not update settings', err);
+        }
+    });
+
+    // Let users decide whether cached models should be encrypted
+    document.getElementById('security-encryption').addEventListener('change', (ev) => {
+        setEncryption(ev.target.value);
+    });
+
+    // Let users decide when offline data should be wiped if the app is not used
+    document.getElementById('security-wipe-after').addEventListener('change', async (ev) => {
+        try {
+            await submitWorkerTask({ operation: 'SET_SETTINGS', settings: { wipeAfterDays: Math.max(parseInt(ev.target.value) || 0, 0) } });
+        } catch (err) {
+            console.error('Could not update settings', err);
+        }
     });
+
+    // Track the connectivity as reported by the browser (the service worker reports when our server cannot be reached)
+    window.addEventListener('online', () => setOnline(true));
+    window.addEventListener('offline', () => setOnline(false));
+    updateConnectivity();
+}
+
+/**
+ * Updates the connectivity status, and the overlay with it. As soon as we're back online, the session is renewed,
+ * interrupted downloads are resumed, pinned models are downloaded, issues are synchronized, and updated models are looked for.
+ */
+function setOnline(value) {
+    if (online === value) {
+        return;
+    }
+    online = value;
+    updateConnectivity();
+    updateOverlay();
+    if (online) {
+        fetchAccessToken()
+            .catch((err) => console.error('Could not renew session', err))
+            .then(() => resumeDownloads())
+            .then(() => downloadPinnedModels())
+            .then(() => syncIssues())
+            .then(() => checkForUpdates());
+    }
+}
+
+/**
+ * Shows the offline banner, and disables actions that can't work offline (marked with the 'online-only' class).
+ */
+function updateConnectivity() {
+    document.getElementById('offline-banner').style.setProperty('display', online ? 'none' : 'block');
+    document.getElementById('overlay').classList.toggle('offline', !online);
+}
+
+/**
+ * Updates the overlay when the service worker reports changes of cached models (made in this or any other tab),
+ * or changes of the connectivity (see `broadcast` in the service worker).
+ */
+function onWorkerEvent(data) {
+    switch (data.event) {
+        case 'started':
+        case 'progress':
+            updateProgress(data);
+            break;
+        case 'completed':
+        case 'failed':
+        case 'cleared':
+        case 'evicted':
+            downloads.delete(data.urn);
+            updateOverlay();
+            break;
+        case 'wiped':
+            // Make sure nothing is left in memory either, see `wipeOfflineData`
+            window.location.reload();
+            break;
+        case 'connectivity':
+            setOnline(data.online);
+            break;
+    }
 }
 
 /**
@@ -79,22 +414,91 @@ async function updateOverlay() {
         const result = await submitWorkerTask({ operation: 'LIST_CACHES' });
         const cachedUrls = result.urls;
         document.getElementById('debug-cached').innerHTML = cachedUrls.length;
-        // Update list of viewable models
-        const response = await fetch(ListModelsEndpoint);
-        const objects = await response.json();
-        document.querySelector('#models').innerHTML = objects.map((object) => {
-            let urn = btoa(object.objectId);
-            while (urn.endsWith('=')) { urn = urn.substr(0, urn.length - 1); } // Trim the '=' padding at the end
+        // Get the offline availability of individual models
+        packages = (await submitWorkerTask({ operation: 'LIST_PACKAGES' })).packages;
+        const { pins } = await submitWorkerTask({ operation: 'LIST_PINS' });
+        document.getElementById('debug-pins').innerHTML = pins.length > 0
+            ? `${pins.filter((pin) => pin.state === 'done').length}/${pins.length} downloaded`
+            : 'N/A';
+        // Update the tree of viewable models, starting with the models in our bucket
+        const objects = await listModels().catch((err) => {
+            console.error('Could not list models', err);
+            return [];
+        });
+        // Include models imported from bundles that are not in the list
+        for (const pkg of packages) {
+            if (pkg.object && !objects.find((object) => object.urn === pkg.urn)) {
+                objects.push(Object.assign({}, pkg.object, { urn: pkg.urn }));
+            }
+        }
+        treeChildren.set(ListModelsEndpoint, objects);
+        const roots = [{ id: ListModelsEndpoint, name: 'Application bucket', type: 'bucket' }];
+        // Followed by hubs of the signed-in user, if any
+        if (!treeChildren.has(HubsEndpoint)) {
+            await loadNode({ id: HubsEndpoint, type: 'root' }).catch((err) => console.log('Hubs not available', err));
+        }
+        const renderModel = (object) => {
+            const urn = object.urn;
             const active = urn === currentUrn;
-            const cached = cachedUrls.filter((url) => url.includes(urn)).length > 0; // See if the URN is in any of the cached URLs
-            const online = ('onLine' in navigator) ? navigator.onLine : true;
+            const pkg = packages.find((pkg) => pkg.urn === urn);
+            let state = pkg ? pkg.state : null;
+            if (!state && cachedUrls.filter((url) => url.includes(urn)).length > 0) {
+                state = 'incomplete'; // Some files have been cached, but we don't know which ones are missing
+            }
+            // Translations started from the app, or models in the bucket whose translation hasn't succeeded (as reported by our server)
+            const translation = translations.get(urn) || (!state && ['pending', 'inprogress', 'failed', 'timeout'].includes(object.status) ? object : null);
+            if (translation) {
+                const failed = !['pending', 'inprogress', 'n/a'].includes(translation.status);
+                return `
+                    <li class="${active ? 'active' : ''}" data-urn="${urn}">
+                        <div class="model-name">${escapeHtml(object.name || object.objectKey)}</div>
+                        <div class="model-status" title="${escapeHtml((translation.messages || []).map((message) => message.message).join('\n'))}">
+                            ${failed ? `(translation ${translation.status})` : `(translating${translation.progress ? ', ' + translation.progress : '...'})`}
+                        </div>
+                    </li>
+                `;
+            }
+            const progress = downloads.get(urn);
+            if (progress) {
+                return `
+                    <li class="${active ? 'active' : ''}" data-urn="${urn}">
+                        <div class="model-name" data-action="open">${escapeHtml(object.name || object.objectKey)}</div>
+                        <div class="model-status">${formatProgress(progress)}</div>
+                    </li>
+                `;
+            }
+            const status = {
+                complete: { action: 'clear', symbol: '★', title: 'Available offline, click to clear the cache' },
+                incomplete: { action: 'repair', symbol: '◐', title: 'Partially available offline, click to download the missing files' },
+                corrupt: { action: 'repair', symbol: '⚠', title: 'Some cached files are corrupt, click to download them again' }
+            }[state] || { action: 'cache', symbol: '☆', title: 'Click to make available offline' };
+            const outdated = pkg && pkg.outdated;
+            const pin = pins.find((pin) => pin.urn === urn);
+            const pinTitle = pin
+                ? { queued: 'Pinned, waiting for download', downloading: 'Pinned, downloading', done: 'Pinned, kept up to date' }[pin.state] + (pin.error ? ` (last error: ${pin.error})` : '') + ', click to unpin'
+                : 'Click to pin the model, downloading it in the background and keeping it up to date';
+            const size = pkg ? (pkg.bytes / Math.pow(2, 20)).toFixed(2) + 'MB' + (pkg.selection ? ' (selected views)' : '') : '';
+            // Thumbnails are cached with the models, so offline they're only available for cached models
+            const thumbnail = object.thumbnail && (online || state)
+                ? `<img class="model-thumbnail" src="${object.thumbnail}" alt="" loading="lazy" onerror="this.remove()">`
+                : '';
             return `
                 <li class="${active ? 'active' : ''}" data-urn="${urn}">
-                    <div class="model-name" data-action="open">${object.objectKey}</div>
-                    <div class="model-status" style="display:${online || cached ? 'inline' : 'none'}" data-action="${cached ? 'clear' : 'cache'}">${cached ? '★' : '☆'}</div>
+                    ${thumbnail}
+                    <div class="model-name" data-action="open" title="${describeModel(object)}">${escapeHtml(object.name || object.objectKey)}</div>
+                    <div class="model-status" style="display:${online || state ? 'inline' : 'none'}" data-action="${status.action}" title="${status.title}">${status.symbol}</div>
+                    <div class="model-update" style="display:${online && outdated ? 'inline' : 'none'}" data-action="sync" title="A newer version of the model is available, click to update the cache">↻</div>
+                    <div class="model-pin ${pin ? 'pinned' : ''}" style="display:${online || pin ? 'inline' : 'none'}" data-action="${pin ? 'unpin' : 'pin'}" title="${escapeHtml(pinTitle)}">📌${pin && pin.state !== 'done' ? `(${pin.state}...)` : ''}</div>
+                    <div class="model-size">${size}</div>
+                    <div class="model-select" style="display:${online ? 'inline' : 'none'}" data-action="select" title="Choose views and sheets to make available offline">⋯</div>
+                    <a class="model-export" style="display:${online ? 'inline' : 'none'}" href="${ListModelsEndpoint}/${urn}/bundle" title="Download the model as an offline bundle">⤓</a>
                 </li>
             `;
-        }).join('\n');
+        };
+        renderModels = () => {
+            document.querySelector('#models').innerHTML = renderTree(roots.concat(treeChildren.get(HubsEndpoint) || []), renderModel);
+        };
+        renderModels();
     } catch (err) {
         document.getElementById('debug-cached').innerHTML = 'N/A';
         console.error('Error when updating the UI', err);
@@ -102,62 +506,1127 @@ async function updateOverlay() {
 }
 
 /**
- * Loads an APS model into the viewer. Returns a promise that resolves
- * after the model has been loaded and the Autodesk.Viewing.GEOMETRY_LOADED_EVENT
- * event has triggered.
+ * Renders nodes of the tree of models (hubs, projects, folders, and items) and their expanded children
+ * as HTML list items, using the `renderModel` callback for the models themselves (nodes with an 'urn').
+ */
+function renderTree(nodes, renderModel) {
+    const arranged = arrangeModels(nodes);
+    if (arranged.length === 0 && nodes.length > 0) {
+        return '<li class="catalog-empty">(no matching models)</li>';
+    }
+    return arranged.map((node) => {
+        if (node.urn) {
+            return renderModel(node);
+        }
+        const expanded = expandedNodes.has(node.id);
+        const children = treeChildren.get(node.id);
+        return `
+            <li class="tree-node ${node.type}" data-node="${escapeHtml(node.id)}">
+                <div class="tree-toggle" data-action="toggle">${expanded ? '▾' : '▸'}</div>
+                <div class="tree-name" data-action="toggle">${escapeHtml(node.name)}</div>
+                ${expanded ? `<ul>${children ? renderTree(children, renderModel) : '<li class="tree-loading">...</li>'}</ul>` : ''}
+            </li>
+        `;
+    }).join('\n');
+}
+
+/**
+ * Expands or collapses a node in the tree of models, loading its children when expanded for the first time.
  */
-function loadModel(urn) {
+async function toggleNode(id) {
+    if (expandedNodes.has(id)) {
+        expandedNodes.delete(id);
+        updateOverlay();
+        return;
+    }
+    expandedNodes.add(id);
+    updateOverlay();
+    const node = findNode(id);
+    if (node && !treeChildren.has(id)) {
+        try {
+            await loadNode(node);
+        } catch (err) {
+            console.error('Could not load content of', id, err);
+            expandedNodes.delete(id);
+        }
+        updateOverlay();
+    }
+}
+
+/**
+ * Applies the search, filter and sort order chosen in the overlay to the models among given nodes of the tree.
+ * Other nodes (such as folders) are kept in their order, before the models.
+ */
+function arrangeModels(nodes) {
+    const query = catalog.query.trim().toLowerCase();
+    const name = (node) => node.name || node.objectKey || '';
+    const lastOpened = (node) => packages.find((pkg) => pkg.urn === node.urn)?.lastOpened || 0;
+    const models = nodes.filter((node) => {
+        if (!node.urn || (query && !name(node).toLowerCase().includes(query))) {
+            return false;
+        }
+        const pkg = packages.find((pkg) => pkg.urn === node.urn);
+        switch (catalog.filter) {
+            case 'cached': return !!pkg;
+            case 'outdated': return !!pkg && pkg.outdated;
+            case '3d':
+            case '2d': return !!node.views && node.views[catalog.filter] > 0;
+            default: return true;
+        }
+    });
+    const compare = {
+        name: (a, b) => name(a).localeCompare(name(b)),
+        modified: (a, b) => (b.lastModified || 0) - (a.lastModified || 0),
+        size: (a, b) => (b.size || 0) - (a.size || 0),
+        opened: (a, b) => lastOpened(b) - lastOpened(a)
+    }[catalog.sort];
+    if (compare) {
+        models.sort(compare);
+    }
+    return nodes.filter((node) => !node.urn).concat(models);
+}
+
+/**
+ * Describes a model from our bucket with the catalog information provided by our server (see `GET /api/models`).
+ */
+function describeModel(object) {
+    const details = [];
+    if (object.lastModified) {
+        details.push(`Last modified: ${new Date(object.lastModified).toLocaleString()}`);
+    }
+    if (object.views) {
+        details.push(`Views: ${object.views['3d']} 3D, ${object.views['2d']} 2D`);
+    }
+    if (object.size) {
+        details.push(`Design: ${(object.size / Math.pow(2, 20)).toFixed(2)}MB`);
+    }
+    if (object.derivativeSize) {
+        details.push(`Derivatives: ${(object.derivativeSize / Math.pow(2, 20)).toFixed(2)}MB`);
+    }
+    if (object.status) {
+        details.push(`Translation: ${object.status}`);
+    }
+    if (object.summaryPending) {
+        details.push('(loading details...)');
+    }
+    return escapeHtml(details.join('\n'));
+}
+
+function findNode(id) {
+    for (const children of treeChildren.values()) {
+        const node = children.find((child) => child.id === id);
+        if (node) {
+            return node;
+        }
+    }
+    return null;
+}
+
+/**
+ * Loads children of a node in the tree of models. The ID of each node is the URL of the endpoint
+ * listing its children, so the service worker can cache the responses, and the previously visited
+ * hubs, projects and folders can be browsed offline.
+ */
+async function loadNode(node) {
+    const response = await fetch(node.id);
+    if (!response.ok) {
+        throw new Error(`Could not load ${node.id}: ${response.status} ${response.statusText}`);
+    }
+    const entries = await response.json();
+    let children;
+    switch (node.type) {
+        case 'root':
+            children = entries.map((hub) => ({ id: `${HubsEndpoint}/${encodeURIComponent(hub.id)}/projects`, name: hub.name, type: 'hub' }));
+            break;
+        case 'hub':
+            children = entries.map((project) => ({ id: `${node.id}/${encodeURIComponent(project.id)}/contents`, name: project.name, type: 'project', contents: `${node.id}/${encodeURIComponent(project.id)}/contents` }));
+            break;
+        case 'project':
+        case 'folder':
+            children = entries.map((entry) => entry.type === 'folder'
+                ? { id: `${node.contents}?folder_id=${encodeURIComponent(entry.id)}`, name: entry.name, type: 'folder', contents: node.contents }
+                : { id: `${node.contents}/${encodeURIComponent(entry.id)}/versions`, name: entry.name, type: 'item' });
+            break;
+        case 'item':
+            children = entries.map((version) => Object.assign({}, version, { name: `${node.name} (v${version.version})` }));
+            children.forEach((version) => versions.set(version.urn, version));
+            break;
+    }
+    treeChildren.set(node.id, children);
+}
+
+/**
+ * Finds a viewable model (from our bucket or from a hub) by its URN.
+ */
+function findModel(urn) {
+    return models.find((model) => model.urn === urn) || versions.get(urn);
+}
+
+/**
+ * Lists all viewable models, adding the base64-encoded 'urn' to each of them. While the server is still
+ * describing some of the models (see `summaryPending`), the overlay is updated again a bit later.
+ */
+async function listModels() {
+    const response = await fetch(ListModelsEndpoint);
+    const objects = await response.json();
+    models = objects.map((object) => {
+        let urn = btoa(object.objectId);
+        while (urn.endsWith('=')) { urn = urn.substr(0, urn.length - 1); } // Trim the '=' padding at the end
+        return Object.assign({}, object, { urn });
+    });
+    clearTimeout(summaryTimer);
+    if (online && models.some((model) => model.summaryPending)) {
+        summaryTimer = setTimeout(updateOverlay, SummaryPollInterval);
+    }
+    return models;
+}
+
+/**
+ * Loads an APS model into the viewer, optionally with a specific viewable (3D view or 2D sheet).
+ * If only some viewables of the model have been cached, one of them is loaded by default.
+ */
+function loadModel(urn, guid) {
     let viewerError = document.getElementById('viewer-error');
     if (viewerError) {
         viewerError.parentNode.removeChild(viewerError);
     }
 
     function onDocumentLoadSuccess(doc) {
-        viewer.addEventListener(Autodesk.Viewing.GEOMETRY_LOADED_EVENT, function() {
+        // Only the last loaded model is handled, even if a previous one never finished loading
+        viewer.removeEventListener(Autodesk.Viewing.GEOMETRY_LOADED_EVENT, onGeometryLoaded);
+        onGeometryLoaded = function() {
+            viewer.removeEventListener(Autodesk.Viewing.GEOMETRY_LOADED_EVENT, onGeometryLoaded);
+            onGeometryLoaded = null;
             currentUrn = urn;
             updateOverlay();
-        });
-        viewer.loadDocumentNode(doc, doc.getRoot().getDefaultGeometry());
+            updateIssues().then(() => syncIssues());
+            updateViews();
+            if (pendingIsolation && pendingIsolation.urn === urn) {
+                isolateResults(urn, pendingIsolation.dbIds);
+            }
+            if (pendingState && pendingState.urn === urn) {
+                viewer.restoreState(pendingState.state);
+                pendingState = null;
+            }
+            updateLocation();
+        };
+        viewer.addEventListener(Autodesk.Viewing.GEOMETRY_LOADED_EVENT, onGeometryLoaded);
+        const pkg = packages.find((pkg) => pkg.urn === urn);
+        const node = guid ? doc.getRoot().findByGuid(guid) : null;
+        let viewable = node || doc.getRoot().getDefaultGeometry();
+        if (!node && !isViewableCached(pkg, viewable)) {
+            viewable = doc.getRoot().search({ type: 'geometry' }).find((node) => isViewableCached(pkg, node)) || viewable;
+        }
+        if (!online && !isViewableCached(pkg, viewable)) {
+            showViewerError('This view is not available offline. Cache it next time you\'re online.');
+            updateOverlay();
+            return;
+        }
+        viewer.loadDocumentNode(doc, viewable).catch(onItemLoadFailure);
     }
     function onDocumentLoadFailure() {
-        viewerError = document.createElement('div');
-        viewerError.id = 'viewer-error';
-        viewerError.innerHTML = '<span>Could not load document. Are you offline?</span>';
-        document.getElementById('viewer').appendChild(viewerError);
+        showViewerError('Could not load document. Are you offline?');
         updateOverlay();
         console.error('Could not load document ' + urn);
     }
     function onItemLoadFailure() {
+        showViewerError('Could not load view. Is it available offline?');
         updateOverlay();
         console.error('Could not load model from document ' + urn);
     }
+    closeMarkups();
     currentUrn = null;
-    const status = document.querySelector(`#overlay > ul > li[data-urn="${urn}"] > .model-status`);
-    status.style.setProperty('display', 'inline');
-    status.innerHTML = '(loading...)';
+    updateIssues();
+    updateViews();
+    const status = document.querySelector(`#models li[data-urn="${CSS.escape(urn)}"] > .model-status`);
+    if (status) { // The list of models may not be rendered yet when opening a link
+        status.style.setProperty('display', 'inline');
+        status.innerHTML = '(loading...)';
+    }
     Autodesk.Viewing.Document.load('urn:' + urn, onDocumentLoadSuccess, onDocumentLoadFailure);
 }
 
 /**
- * Asks service worker to cache given URN.
+ * Updates the list of issues of the open model in the overlay, and their pins in the viewer.
+ * Issues with local changes that have not been pushed to the server yet are marked with `⇡`,
+ * and issues that have been changed by someone else in the meantime let the user choose which changes to keep.
+ */
+async function updateIssues() {
+    const panel = document.getElementById('issues');
+    if (!currentUrn) {
+        issues = [];
+        panel.style.setProperty('display', 'none');
+        updateIssuePins();
+        return;
+    }
+    try {
+        issues = (await submitWorkerTask({ operation: 'LIST_ISSUES', urn: currentUrn })).issues;
+    } catch (err) {
+        console.error('Could not list issues', err);
+        issues = [];
+    }
+    panel.style.removeProperty('display');
+    panel.innerHTML = `
+        <div class="issues-header">
+            Issues <span data-action="add" title="Click to add an issue, then click on the model to place it">${addingIssue ? '(click on the model...)' : '+'}</span>
+            ${drawingMarkup
+                ? '(draw on the model...) <span data-action="save-markup">save</span> / <span data-action="cancel-markup">cancel</span>'
+                : '<span data-action="draw" title="Click to draw a markup over the current view, and save it as an issue">✎</span>'}
+            ${shownMarkup ? '<span data-action="hide-markup" title="Hide the markup of the issue">(hide markup)</span>' : ''}
+        </div>
+        <ul>
+            ${issues.map((issue) => `
+                <li class="issue ${issue.status}" data-issue="${issue.id}">
+                    <span class="issue-status" data-action="toggle-status" title="Click to ${issue.status === 'open' ? 'close' : 'reopen'} the issue">${issue.status === 'open' ? '○' : '●'}</span>
+                    <span class="issue-title" data-action="show">${escapeHtml(issue.title)}</span>
+                    ${issue.markup ? '<span class="issue-markup" title="The issue has a markup">✎</span>' : ''}
+                    ${issue.pending ? '<span class="issue-pending" title="Not synchronized with the server yet">⇡</span>' : ''}
+                    <span class="issue-delete" data-action="delete" title="Delete the issue">✕</span>
+                    ${issue.conflict ? `
+                        <div class="issue-conflict">
+                            ⚠ ${issue.conflict.deleted ? 'Deleted' : 'Changed'} by ${escapeHtml(issue.conflict.updatedBy || 'someone else')}:
+                            <span data-action="keep-local">keep mine</span> / <span data-action="keep-remote">keep theirs</span>
+                        </div>
+                    ` : ''}
+                </li>
+            `).join('\n')}
+        </ul>
+    `;
+    updateIssuePins();
+}
+
+/**
+ * Positions the pins of issues (placed in the currently open view) over the viewer.
+ */
+function updateIssuePins() {
+    let container = document.getElementById('issue-pins');
+    if (!container) {
+        container = document.createElement('div');
+        container.id = 'issue-pins';
+        viewer.container.appendChild(container);
+    }
+    const node = viewer.model ? viewer.model.getDocumentNode() : null;
+    const guid = node ? node.guid() : null;
+    container.innerHTML = issues
+        .filter((issue) => issue.position && !issue.deleted && (!issue.viewable || issue.viewable === guid))
+        .map((issue) => {
+            const { x, y } = viewer.worldToClient(new THREE.Vector3(issue.position.x, issue.position.y, issue.position.z));
+            return `<div class="issue-pin ${issue.status}" style="left:${x}px;top:${y}px" title="${escapeHtml(issue.title)}">●</div>`;
+        }).join('\n');
+}
+
+function startAddingIssue() {
+    addingIssue = true;
+    updateIssues();
+}
+
+/**
+ * Places a new issue where the user clicked on the model, if we're waiting for that.
+ */
+function onViewerClick(ev) {
+    if (!addingIssue || !currentUrn) {
+        return;
+    }
+    addingIssue = false;
+    const rect = viewer.container.getBoundingClientRect();
+    const hit = viewer.clientToWorld(ev.clientX - rect.left, ev.clientY - rect.top, true);
+    const title = hit ? window.prompt('Issue title') : null;
+    if (!title) {
+        updateIssues();
+        return;
+    }
+    saveIssue({
+        id: crypto.randomUUID(),
+        urn: currentUrn,
+        title,
+        position: { x: hit.point.x, y: hit.point.y, z: hit.point.z },
+        dbId: hit.dbId,
+        viewable: viewer.model.getDocumentNode()?.guid(),
+        state: viewer.getState({ viewport: true, objectSet: true, cutplanes: true })
+    });
+}
+
+async function showIssue(issue) {
+    closeMarkups();
+    if (issue.state) {
+        viewer.restoreState(issue.state, null, !!issue.markup); // Markups only line up with the view they were drawn in, so don't animate the camera
+    }
+    if (issue.dbId) {
+        viewer.select([issue.dbId]);
+    }
+    if (issue.markup) {
+        try {
+            const markups = await getMarkups();
+            markups.show();
+            markups.loadMarkups(issue.markup, MarkupLayer);
+            shownMarkup = issue.id;
+        } catch (err) {
+            console.error('Could not show markup', err);
+        }
+        updateIssues();
+    }
+}
+
+// Returns the MarkupsCore extension of the viewer, loading it first if needed
+// (it's one of the extensions the app loads and caches by default, so that markups work offline)
+async function getMarkups() {
+    return viewer.getExtension('Autodesk.Viewing.MarkupsCore') || viewer.loadExtension('Autodesk.Viewing.MarkupsCore');
+}
+
+/**
+ * Lets the user draw freehand markups over the current view, to be saved as a new issue (see `saveMarkup`).
+ */
+async function startDrawingMarkup() {
+    if (!currentUrn) {
+        return;
+    }
+    closeMarkups();
+    try {
+        const markups = await getMarkups();
+        markups.enterEditMode();
+        markups.changeEditMode(new Autodesk.Viewing.Extensions.Markups.Core.EditModeFreehand(markups));
+        drawingMarkup = true;
+    } catch (err) {
+        console.error('Could not start drawing markup', err);
+    }
+    updateIssues();
+}
+
+/**
+ * Saves the markup drawn by the user (as SVG, with the viewer state it was drawn in) as a new issue.
+ */
+function saveMarkup() {
+    const markups = viewer.getExtension('Autodesk.Viewing.MarkupsCore');
+    if (!drawingMarkup || !markups) {
+        return;
+    }
+    const markup = markups.generateData();
+    const state = viewer.getState({ viewport: true, objectSet: true, cutplanes: true });
+    closeMarkups();
+    const title = window.prompt('Issue title');
+    if (!title) {
+        updateIssues();
+        return;
+    }
+    saveIssue({
+        id: crypto.randomUUID(),
+        urn: currentUrn,
+        title,
+        markup,
+        viewable: viewer.model.getDocumentNode()?.guid(),
+        state
+    });
+}
+
+// Stops drawing a markup, or hides the markup of an issue
+function closeMarkups() {
+    const markups = viewer.getExtension('Autodesk.Viewing.MarkupsCore');
+    if (markups && (drawingMarkup || shownMarkup)) {
+        if (drawingMarkup) {
+            markups.leaveEditMode();
+        }
+        markups.unloadMarkupsAllLayers();
+        markups.hide();
+    }
+    const changed = drawingMarkup || shownMarkup;
+    drawingMarkup = false;
+    shownMarkup = null;
+    if (changed) {
+        updateIssues();
+    }
+}
+
+/**
+ * Asks service worker to store a new issue or changes of an existing issue, and to push them to the server.
+ */
+async function saveIssue(issue) {
+    try {
+        await submitWorkerTask({ operation: 'SAVE_ISSUE', issue });
+    } catch (err) {
+        console.error('Could not save issue', err);
+    }
+    await updateIssues();
+    syncIssues();
+}
+
+async function deleteIssue(issue) {
+    try {
+        await submitWorkerTask({ operation: 'DELETE_ISSUE', id: issue.id });
+    } catch (err) {
+        console.error('Could not delete issue', err);
+    }
+    await updateIssues();
+    syncIssues();
+}
+
+async function resolveIssue(issue, keep) {
+    try {
+        await submitWorkerTask({ operation: 'RESOLVE_ISSUE', id: issue.id, keep });
+    } catch (err) {
+        console.error('Could not resolve issue', err);
+    }
+    await updateIssues();
+    syncIssues();
+}
+
+/**
+ * Asks service worker to push local changes of issues to the server, and to pull changes made by others.
  */
-async function cacheModel(urn) {
-    document.querySelector(`#overlay > ul > li[data-urn="${urn}"] > .model-status`).innerHTML = '(caching...)';
+async function syncIssues() {
+    if (!online) {
+        return;
+    }
     try {
-        const result = await submitWorkerTask({ operation: 'CACHE_URN', urn: urn, access_token: accessToken });
+        await submitWorkerTask({ operation: 'SYNC_ISSUES', urns: currentUrn ? [currentUrn] : [] });
+    } catch (err) {
+        console.error('Could not synchronize issues', err);
+    } finally {
+        updateIssues();
+    }
+}
+
+/**
+ * Opens the model and view given in the URL of the page, where `urn` is the URN of the model, `viewable` is the GUID
+ * of its 3D view or 2D sheet, and `state` is the encoded viewer state with the camera, isolated and selected elements,
+ * and section planes (see `getViewUrl`). Links work offline as well, as long as the view has been cached.
+ */
+function openLocation() {
+    const params = new URLSearchParams(window.location.search);
+    const urn = params.get('urn');
+    if (!urn) {
+        return;
+    }
+    const viewable = params.get('viewable');
+    const state = decodeState(params.get('state'));
+    if (urn === currentUrn && (!viewable || viewable === getCurrentViewable())) {
+        pendingState = null;
+        if (state) {
+            viewer.restoreState(state);
+        }
+        return;
+    }
+    pendingState = state ? { urn, state } : null;
+    loadModel(urn, viewable || undefined);
+}
+
+/**
+ * Records the open model, view, and viewer state in the URL of the page, so that reloading the page,
+ * opening a bookmark, or going back in the history restores the same view. Opening another model or view
+ * adds an entry to the history, while changes of the viewer state replace the current entry.
+ */
+function updateLocation() {
+    if (!currentUrn || !viewer.model) {
+        return;
+    }
+    const params = new URLSearchParams(window.location.search);
+    const viewable = getCurrentViewable();
+    const url = getViewUrl(currentUrn, viewable, viewer.getState({ viewport: true, objectSet: true, cutplanes: true }));
+    if (params.get('urn') !== currentUrn || params.get('viewable') !== viewable) {
+        history.pushState(null, '', url);
+    } else {
+        history.replaceState(null, '', url);
+    }
+}
+
+// The viewer reports every step of camera animations, so the URL is only updated once the view settles
+function scheduleLocationUpdate() {
+    clearTimeout(locationTimer);
+    locationTimer = setTimeout(updateLocation, LocationUpdateDelay);
+}
+
+function getViewUrl(urn, viewable, state) {
+    const params = new URLSearchParams({ urn });
+    if (viewable) {
+        params.set('viewable', viewable);
+    }
+    if (state) {
+        params.set('state', encodeState(state));
+    }
+    return `${window.location.pathname}?${params}`;
+}
+
+function getCurrentViewable() {
+    const node = viewer.model ? viewer.model.getDocumentNode() : null;
+    return node ? node.guid() : null;
+}
+
+// Viewer states are stored in URLs as base64url-encoded JSON
+function encodeState(state) {
+    const bytes = new TextEncoder().encode(JSON.stringify(state));
+    return btoa(Array.from(bytes, (byte) => String.fromCharCode(byte)).join(''))
+        .replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function decodeState(text) {
+    if (!text) {
+        return null;
+    }
+    try {
+        const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+        return JSON.parse(new TextDecoder().decode(Uint8Array.from(binary, (char) => char.charCodeAt(0))));
+    } catch (err) {
+        console.error('Invalid viewer state in the URL', err);
+        return null;
+    }
+}
+
+/**
+ * Updates the list of saved views of the open model in the overlay.
+ */
+async function updateViews() {
+    const panel = document.getElementById('views');
+    if (!currentUrn) {
+        views = [];
+        panel.style.setProperty('display', 'none');
+        return;
+    }
+    try {
+        views = (await submitWorkerTask({ operation: 'LIST_VIEWS', urn: currentUrn })).views;
+    } catch (err) {
+        console.error('Could not list views', err);
+        views = [];
+    }
+    panel.style.removeProperty('display');
+    panel.innerHTML = `
+        <div class="views-header">
+            Views <span data-action="save" title="Save the current view">+</span>
+        </div>
+        <ul>
+            ${views.map((view) => `
+                <li data-view="${view.id}">
+                    <span class="view-name" data-action="restore" title="Click to restore the view">${escapeHtml(view.name)}</span>
+                    <span class="view-link" data-action="copy-link" title="Copy a link to the view">🔗</span>
+                    <span class="view-delete" data-action="delete" title="Delete the view">✕</span>
+                </li>
+            `).join('\n')}
+        </ul>
+    `;
+}
+
+/**
+ * Asks service worker to store the current view of the open model under a name chosen by the user.
+ */
+async function saveView() {
+    const name = currentUrn ? window.prompt('View name') : null;
+    if (!name) {
+        return;
+    }
+    try {
+        await submitWorkerTask({
+            operation: 'SAVE_VIEW',
+            view: {
+                id: crypto.randomUUID(),
+                urn: currentUrn,
+                name,
+                viewable: getCurrentViewable(),
+                state: viewer.getState({ viewport: true, objectSet: true, cutplanes: true })
+            }
+        });
+    } catch (err) {
+        console.error('Could not save view', err);
+    }
+    await updateViews();
+}
+
+/**
+ * Restores a saved view, loading its 3D view or 2D sheet first if another one is open.
+ */
+function restoreView(view) {
+    if (view.viewable && view.viewable !== getCurrentViewable()) {
+        pendingState = { urn: view.urn, state: view.state };
+        loadModel(view.urn, view.viewable);
+    } else {
+        viewer.restoreState(view.state);
+    }
+}
+
+/**
+ * Copies a link to a saved view to the clipboard. The link contains the whole viewer state,
+ * so it can be shared with others (or opened on another device) as well.
+ */
+async function copyViewLink(view) {
+    const url = new URL(getViewUrl(view.urn, view.viewable, view.state), window.location.href).href;
+    try {
+        await navigator.clipboard.writeText(url);
+    } catch (err) {
+        window.prompt('Copy the link to the view', url);
+    }
+}
+
+async function deleteView(view) {
+    try {
+        await submitWorkerTask({ operation: 'DELETE_VIEW', id: view.id });
+    } catch (err) {
+        console.error('Could not delete view', err);
+    }
+    await updateViews();
+}
+
+function escapeHtml(text) {
+    return String(text || '').replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+}
+
+/**
+ * Searches properties of all cached models (see `search-worker.js` for the syntax of the query),
+ * and lists the matching elements grouped by model.
+ */
+async function searchProperties(query) {
+    const panel = document.getElementById('search-results');
+    if (!searchWorker) {
+        searchWorker = new Worker('/javascript/search-worker.js');
+    }
+    panel.innerHTML = '(searching...)';
+    try {
+        const { results, models } = await submitSearchTask({ operation: 'SEARCH', query }, (progress) => {
+            panel.innerHTML = `(indexing ${progress.done}/${progress.total} models...)`;
+        });
+        searchResults = results;
+        const urns = Array.from(new Set(results.map((result) => result.urn)));
+        panel.innerHTML = `
+            <div class="search-summary">${results.length} elements found in ${urns.length} of ${models} cached models</div>
+            <ul>
+                ${urns.map((urn) => {
+                    const model = findModel(urn) || packages.find((pkg) => pkg.urn === urn)?.object;
+                    const matches = results.filter((result) => result.urn === urn);
+                    return `
+                        <li data-urn="${urn}">
+                            <span data-action="isolate-model" title="Click to isolate all matching elements">${escapeHtml(model ? model.name || model.objectKey : urn)} (${matches.length})</span>
+                            <ul>
+                                ${matches.map((result) => `<li data-action="isolate" data-dbid="${result.dbId}">${escapeHtml(result.name)}</li>`).join('\n')}
+                            </ul>
+                        </li>
+                    `;
+                }).join('\n')}
+            </ul>
+        `;
+    } catch (err) {
+        console.error('Could not search properties', err);
+        panel.innerHTML = '(search failed)';
+    }
+}
+
+/**
+ * Isolates and zooms to given elements, loading their model first if it's not open.
+ */
+function isolateResults(urn, dbIds) {
+    if (urn !== currentUrn) {
+        pendingIsolation = { urn, dbIds };
+        loadModel(urn);
+        return;
+    }
+    pendingIsolation = null;
+    viewer.isolate(dbIds);
+    viewer.fitToView(dbIds);
+}
+
+function submitSearchTask(task, onProgress) {
+    return new Promise(function(resolve, reject) {
+        const channel = new MessageChannel();
+        channel.port1.onmessage = function(event) {
+            if (event.data.error) {
+                reject(event.data);
+            } else if (event.data.status === 'progress') {
+                if (onProgress) {
+                    onProgress(event.data);
+                }
+            } else {
+                resolve(event.data);
+            }
+        };
+        searchWorker.postMessage(task, [channel.port2]);
+    });
+}
+
+/**
+ * Checks whether given viewable (document node) has been selected when caching a model.
+ */
+function isViewableCached(pkg, node) {
+    if (!pkg || !pkg.selection || !node) {
+        return true;
+    }
+    const { guids, type } = pkg.selection;
+    return (!guids || guids.length === 0 || guids.includes(node.guid())) && (!type || node.data.role === type);
+}
+
+function showViewerError(message) {
+    const viewerError = document.createElement('div');
+    viewerError.id = 'viewer-error';
+    viewerError.innerHTML = `<span>${message}</span>`;
+    document.getElementById('viewer').appendChild(viewerError);
+}
+
+/**
+ * Shows the list of viewables (3D views and 2D sheets) of given URN, letting users
+ * choose which of them should be made available offline.
+ */
+function showViewables(urn) {
+    const panel = document.getElementById('viewables');
+    panel.setAttribute('data-urn', urn);
+    panel.style.removeProperty('display');
+    panel.innerHTML = '(loading...)';
+    Autodesk.Viewing.Document.load('urn:' + urn, function(doc) {
+        const pkg = packages.find((pkg) => pkg.urn === urn);
+        const viewables = doc.getRoot().search({ type: 'geometry' });
+        const group = (role, title) => `
+            <li>${title}
+                <ul>
+                    ${viewables.filter((node) => node.data.role === role).map((node) => `
+                        <li>
+                            <input type="checkbox" data-guid="${escapeHtml(node.guid())}" ${pkg && !isViewableCached(pkg, node) ? '' : 'checked'}>
+                            <span data-action="open" data-guid="${escapeHtml(node.guid())}">${escapeHtml(node.name())}</span>
+                        </li>
+                    `).join('')}
+                </ul>
+            </li>
+        `;
+        panel.innerHTML = `
+            <ul>
+                ${group('3d', '3D views')}
+                ${group('2d', '2D sheets')}
+            </ul>
+            <label><input type="checkbox" name="lod" checked> Include levels of detail</label>
+            <div>
+                <button class="online-only" data-action="cache-selected">Cache selected</button>
+                <button data-action="close">Close</button>
+            </div>
+        `;
+        panel.querySelector('[data-action="cache-selected"]').disabled = getSelectedViewables().guids.length === 0;
+    }, function() {
+        panel.innerHTML = 'Could not load the list of views. <button data-action="close">Close</button>';
+    });
+}
+
+/**
+ * Returns the viewables (and derivative roles) selected in the list of viewables.
+ */
+function getSelectedViewables() {
+    const panel = document.getElementById('viewables');
+    const guids = Array.from(panel.querySelectorAll('input[data-guid]:checked')).map((input) => input.getAttribute('data-guid'));
+    const roles = panel.querySelector('input[name="lod"]').checked ? [] : ['-lod'];
+    return { guids, roles };
+}
+
+function hideViewables() {
+    const panel = document.getElementById('viewables');
+    panel.style.setProperty('display', 'none');
+    panel.innerHTML = '';
+}
+
+/**
+ * Asks service worker to cache given URN, showing the download progress in the overlay.
+ * The optional `selection` (with viewable `guids`, derivative `roles`, or viewable `type`)
+ * limits the derivatives to cache.
+ */
+async function cacheModel(urn, selection) {
+    document.querySelector(`#models li[data-urn="${CSS.escape(urn)}"] > .model-status`).innerHTML = '(caching...)';
+    try {
+        const token = await getAccessToken();
+        const model = findModel(urn);
+        const result = await submitWorkerTask({ operation: 'CACHE_URN', urn: urn, sha1: model?.sha1, size: model?.size, selection: selection, access_token: token }, updateProgress);
         console.log('Model cached successfully', result);
     } catch(err) {
         console.error('Could not cache model', err);
     } finally {
+        downloads.delete(urn);
+        updateOverlay();
+    }
+}
+
+/**
+ * Asks service worker to verify the cached files of given URN,
+ * and to download again the files that are missing or corrupt.
+ */
+async function repairModel(urn) {
+    document.querySelector(`#models li[data-urn="${CSS.escape(urn)}"] > .model-status`).innerHTML = '(verifying...)';
+    try {
+        const token = await getAccessToken();
+        const result = await submitWorkerTask({ operation: 'VERIFY_URN', urn: urn, repair: true, access_token: token }, updateProgress);
+        console.log('Model repaired successfully', result);
+    } catch(err) {
+        console.error('Could not repair model', err);
+    } finally {
+        downloads.delete(urn);
+        updateOverlay();
+    }
+}
+
+/**
+ * Asks service worker to update the cache of given URN to the latest version of the model.
+ */
+async function syncModel(urn) {
+    document.querySelector(`#models li[data-urn="${CSS.escape(urn)}"] > .model-status`).innerHTML = '(updating...)';
+    try {
+        const token = await getAccessToken();
+        const model = findModel(urn);
+        const result = await submitWorkerTask({ operation: 'SYNC_URN', urn: urn, sha1: model?.sha1, size: model?.size, access_token: token }, updateProgress);
+        console.log('Model updated successfully', result);
+    } catch(err) {
+        console.error('Could not update model', err);
+    } finally {
+        downloads.delete(urn);
+        updateOverlay();
+    }
+}
+
+/**
+ * Asks service worker to pin given URN, downloading it in the background
+ * (even after the page is closed, if supported by the browser), and keeping it up to date.
+ */
+async function pinModel(urn) {
+    try {
+        const model = findModel(urn);
+        const pkg = packages.find((pkg) => pkg.urn === urn);
+        const result = await submitWorkerTask({ operation: 'PIN_URN', urn: urn, sha1: model?.sha1, size: model?.size, selection: pkg?.selection });
+        console.log('Model pinned successfully', result);
+    } catch(err) {
+        console.error('Could not pin model', err);
+    } finally {
+        updateOverlay();
+    }
+}
+
+async function unpinModel(urn) {
+    try {
+        await submitWorkerTask({ operation: 'UNPIN_URN', urn: urn });
+        console.log('Model unpinned successfully', urn);
+    } catch(err) {
+        console.error('Could not unpin model', err);
+    } finally {
+        updateOverlay();
+    }
+}
+
+/**
+ * Asks service worker to download pinned models that are waiting for download
+ * (for browsers that don't support Background Sync).
+ */
+async function downloadPinnedModels() {
+    try {
+        await submitWorkerTask({ operation: 'DOWNLOAD_PINS' });
+    } catch(err) {
+        console.error('Could not download pinned models', err);
+    } finally {
+        updateOverlay();
+    }
+}
+
+/**
+ * Asks service worker to check whether any of the cached models have changed on the server.
+ */
+async function checkForUpdates() {
+    if (!online) {
+        return;
+    }
+    try {
+        const token = await fetchAccessToken();
+        const objects = await listModels();
+        const result = await submitWorkerTask({
+            operation: 'CHECK_UPDATES',
+            models: objects.concat(Array.from(versions.values())).map((object) => ({ urn: object.urn, sha1: object.sha1 })),
+            access_token: token
+        });
+        if (result.urns.length > 0) {
+            console.log('Found outdated models', result.urns);
+        }
+    } catch(err) {
+        console.error('Could not check for model updates', err);
+    } finally {
+        updateOverlay();
+    }
+}
+
+/**
+ * Asks service worker to import a model bundle (downloaded from the `/api/models/:urn/bundle` endpoint)
+ * into its cache, so that the model can be viewed without network access.
+ */
+async function importBundle(file) {
+    const status = document.getElementById('import-bundle');
+    status.innerHTML = '(importing...)';
+    try {
+        const bundle = await file.arrayBuffer();
+        const result = await submitWorkerTask({ operation: 'IMPORT_BUNDLE', bundle: bundle }, (progress) => {
+            status.innerHTML = formatProgress(progress);
+        });
+        console.log('Bundle imported successfully', result);
+    } catch(err) {
+        console.error('Could not import bundle', err);
+    } finally {
+        status.innerHTML = 'Import bundle';
+        updateOverlay();
+    }
+}
+
+/**
+ * Uploads a design to our bucket, and keeps checking the status of its translation until the model
+ * can be viewed (and cached). For zip archives, the user is asked for the name of the root design file.
+ */
+async function uploadModel(file) {
+    const status = document.getElementById('upload-model');
+    const form = new FormData();
+    form.append('model-file', file);
+    if (file.name.toLowerCase().endsWith('.zip')) {
+        const entrypoint = window.prompt('Please enter the filename of the main design inside the archive.');
+        if (!entrypoint) {
+            return;
+        }
+        form.append('model-zip-entrypoint', entrypoint);
+    }
+    status.innerHTML = '(uploading...)';
+    try {
+        const response = await fetch(ListModelsEndpoint, { method: 'POST', body: form });
+        if (!response.ok) {
+            throw new Error(await response.text());
+        }
+        const object = await response.json();
+        console.log('Model uploaded successfully', object);
+        translations.set(object.urn, { status: 'pending' });
+        pollTranslation(object.urn);
+    } catch(err) {
+        console.error('Could not upload model', err);
+    } finally {
+        status.innerHTML = 'Upload model';
+        updateOverlay();
+    }
+}
+
+/**
+ * Periodically checks the status of a translation, updating the overlay until the translation completes.
+ */
+async function pollTranslation(urn) {
+    while (translations.has(urn)) {
+        await new Promise((resolve) => setTimeout(resolve, TranslationPollInterval));
+        try {
+            const response = await fetch(`${ListModelsEndpoint}/${urn}/status`);
+            if (!response.ok) {
+                throw new Error(`Could not get translation status: ${response.status} ${response.statusText}`);
+            }
+            const translation = await response.json();
+            if (translation.status === 'success') {
+                translations.delete(urn);
+            } else {
+                translations.set(urn, translation);
+                if (!['pending', 'inprogress', 'n/a'].includes(translation.status)) {
+                    console.error('Translation failed', urn, translation);
+                    break;
+                }
+            }
+        } catch(err) {
+            console.error('Could not check translation status', err);
+        }
+        updateOverlay();
+    }
+}
+
+/**
+ * Asks service worker to resume any downloads that have been interrupted,
+ * for example, by closing the page or losing the connection.
+ */
+async function resumeDownloads() {
+    const resumed = new Set();
+    try {
+        const token = await fetchAccessToken();
+        const result = await submitWorkerTask({ operation: 'RESUME_DOWNLOADS', access_token: token }, (progress) => {
+            resumed.add(progress.urn);
+            updateProgress(progress);
+        });
+        if (result.urns.length > 0) {
+            console.log('Downloads resumed successfully', result);
+        }
+    } catch(err) {
+        console.error('Could not resume downloads', err);
+    } finally {
+        resumed.forEach(urn => downloads.delete(urn));
         updateOverlay();
     }
 }
 
+/**
+ * Updates the progress of a model download reported by the service worker.
+ */
+function updateProgress(progress) {
+    downloads.set(progress.urn, progress);
+    const status = document.querySelector(`#models li[data-urn="${CSS.escape(progress.urn)}"] > .model-status`);
+    if (status) {
+        status.removeAttribute('data-action');
+        status.style.setProperty('display', 'inline');
+        status.innerHTML = formatProgress(progress);
+    }
+}
+
+function formatProgress(progress) {
+    const size = (progress.bytes / Math.pow(2, 20)).toFixed(2);
+    return `<progress max="${progress.total}" value="${progress.done}"></progress> ${progress.done}/${progress.total} (${size}MB)`;
+}
+
+/**
+ * Checks whether cached models are encrypted, and if they're locked (for example, after the browser has been restarted),
+ * asks the user for the passphrase to unlock them. The key is then kept for the service worker in case it's restarted.
+ */
+async function initEncryption() {
+    const status = document.getElementById('security-encryption-status');
+    try {
+        let { mode, locked, key } = await submitWorkerTask({ operation: 'GET_ENCRYPTION' });
+        document.getElementById('security-encryption').value = mode || '';
+        if (locked && mode === 'passphrase') {
+            const passphrase = prompt('Cached models are encrypted. Enter the passphrase to unlock them:');
+            if (passphrase) {
+                ({ key } = await submitWorkerTask({ operation: 'UNLOCK_ENCRYPTION', passphrase }));
+                locked = false;
+            }
+        }
+        encryptionKey = key || null;
+        status.innerHTML = locked ? (mode === 'session' ? '(locked, sign in to unlock)' : '(locked)') : '';
+    } catch (err) {
+        console.error('Could not unlock cached models', err);
+        status.innerHTML = '(locked)';
+    }
+}
+
+/**
+ * Enables encryption of cached models in given mode ('passphrase' or 'session'), or disables it (for an empty mode).
+ */
+async function setEncryption(mode) {
+    const status = document.getElementById('security-encryption-status');
+    try {
+        if (mode) {
+            const passphrase = mode === 'passphrase' ? prompt('Enter a passphrase for encrypting cached models:') : null;
+            if (mode === 'passphrase' && !passphrase) {
+                throw new Error('Missing passphrase.');
+            }
+            status.innerHTML = '(encrypting...)';
+            ({ key: encryptionKey } = await submitWorkerTask({ operation: 'ENABLE_ENCRYPTION', mode, passphrase }));
+        } else {
+            status.innerHTML = '(decrypting...)';
+            await submitWorkerTask({ operation: 'DISABLE_ENCRYPTION' });
+            encryptionKey = null;
+        }
+    } catch (err) {
+        console.error('Could not change encryption', err);
+    } finally {
+        await initEncryption();
+    }
+}
+
+/**
+ * Asks service worker to remove all offline data, and reloads the page so that nothing is left in memory either.
+ */
+async function wipeOfflineData() {
+    document.getElementById('wipe-data').innerHTML = '(wiping...)';
+    try {
+        await submitWorkerTask({ operation: 'WIPE_ALL' });
+        encryptionKey = null;
+        window.location.reload();
+    } catch (err) {
+        console.error('Could not wipe offline data', err);
+        document.getElementById('wipe-data').innerHTML = 'Wipe offline data';
+    }
+}
+
 /**
  * Asks service worker to clear all cached requests related to given URN.
  */
 async function clearCache(urn) {
-    document.querySelector(`#overlay > ul > li[data-urn="${urn}"] > .model-status`).innerHTML = '(clearing...)';
+    document.querySelector(`#models li[data-urn="${CSS.escape(urn)}"] > .model-status`).innerHTML = '(clearing...)';
     try {
         const result = await submitWorkerTask({ operation: 'CLEAR_URN', urn: urn });
         console.log('Model cache cleared successfully', result);
@@ -175,23 +1644,100 @@ async function initServiceWorker() {
     try {
         const registration = await navigator.serviceWorker.register('/service-worker.js');
         console.log('Service worker registered', registration.scope);
+        watchForUpdates(registration);
     } catch (err) {
         console.error('Could not register service worker', err);
     }
+
+    // Hand over the encryption key of cached models when the service worker asks for it after being restarted,
+    // and react to its events (sent directly to the page in browsers without BroadcastChannel)
+    navigator.serviceWorker.addEventListener('message', (ev) => {
+        if (ev.data.operation === 'GET_KEY' && ev.ports[0]) {
+            ev.ports[0].postMessage({ status: 'ok', key: encryptionKey });
+        } else if (ev.data.event) {
+            onWorkerEvent(ev.data);
+        }
+    });
+    if (window.BroadcastChannel) {
+        new BroadcastChannel(WorkerEventsChannel).addEventListener('message', (ev) => onWorkerEvent(ev.data));
+    }
+
+    // Refresh pinned models once a day, if the browser supports Periodic Background Sync and the user allows it
+    try {
+        const registration = await navigator.serviceWorker.ready;
+        if ('periodicSync' in registration) {
+            const permission = await navigator.permissions.query({ name: 'periodic-background-sync' });
+            if (permission.state === 'granted') {
+                await registration.periodicSync.register('refresh-pinned-models', { minInterval: 24 * 60 * 60 * 1000 });
+            }
+        }
+    } catch (err) {
+        console.error('Could not register periodic sync', err);
+    }
+
+    // Ask the browser not to clear our caches when running low on storage
+    if (navigator?.storage?.persist) {
+        const persisted = await navigator.storage.persisted() || await navigator.storage.persist();
+        document.getElementById('debug-persisted').innerHTML = persisted;
+    }
+}
+
+/**
+ * Shows a prompt when a new version of the service worker (and the app) has been installed,
+ * and is waiting for activation. When the user confirms, the new worker is activated
+ * (migrating the cached models), and the page is reloaded.
+ */
+function watchForUpdates(registration) {
+    const prompt = document.getElementById('app-update');
+    const hadController = !!navigator.serviceWorker.controller;
+    const showPrompt = () => {
+        if (registration.waiting && hadController) {
+            prompt.style.removeProperty('display');
+        }
+    };
+    showPrompt();
+    registration.addEventListener('updatefound', () => {
+        const worker = registration.installing;
+        worker.addEventListener('statechange', () => {
+            if (worker.state === 'installed') {
+                showPrompt();
+            }
+        });
+    });
+    prompt.addEventListener('click', (ev) => {
+        if (ev.target.getAttribute('data-action') === 'update' && registration.waiting) {
+            ev.target.innerHTML = '(updating...)';
+            registration.waiting.postMessage({ operation: 'SKIP_WAITING' }, [new MessageChannel().port2]);
+        }
+    });
+    // The first worker takes control of the page right away, only later versions need a reload
+    let reloading = false;
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+        if (hadController && !reloading) {
+            reloading = true;
+            window.location.reload();
+        }
+    });
 }
 
 /**
  * Sends a "task" message to the service worker.
  * Returns a promise that resolves when the service worker
  * replies with confirmation of completing the task.
+ * Progress messages sent by the service worker in the meantime
+ * are passed to the optional `onProgress` callback.
  */
-function submitWorkerTask(task) {
+function submitWorkerTask(task, onProgress) {
     return navigator.serviceWorker.ready.then(function(req) {
         return new Promise(function(resolve, reject) {
             const channel = new MessageChannel();
             channel.port1.onmessage = function(event) {
                 if (event.data.error) {
                     reject(event.data);
+                } else if (event.data.status === 'progress') {
+                    if (onProgress) {
+                        onProgress(event.data);
+                    }
                 } else {
                     resolve(event.data);
                 }
@@ -0,0 +1,183 @@
+/*
+ * Web worker searching properties of all cached models. The index is built from the property
+ * database files (objects_*.json.gz) of each model found in the Cache Storage, so it works offline.
+ */
+
+const PROPERTY_DB_FILES = ['ids', 'attrs', 'vals', 'avs', 'offs'];
+const MAX_RESULTS = 1000; // Max number of elements returned by a single search
+const ENCRYPTED_HEADER = 'X-Encrypted'; // Marks cached files encrypted by the service worker
+
+let indexes = new Map(); // Property databases of cached models, keyed by URN
+
+self.addEventListener('message', async function(event) {
+    const port = event.ports[0];
+    switch (event.data.operation) {
+        case 'SEARCH':
+            try {
+                const urns = await updateIndexes((progress) => port.postMessage(Object.assign({ status: 'progress' }, progress)));
+                const results = search(parseQuery(event.data.query), urns);
+                port.postMessage({ status: 'ok', results, models: urns.length });
+            } catch(err) {
+                port.postMessage({ error: err.toString() });
+            }
+            break;
+    }
+});
+
+/**
+ * Finds the property databases of all cached models, loading databases of models cached
+ * since the last search, and dropping databases of models that are no longer cached.
+ * Returns the URNs of all indexed models.
+ */
+async function updateIndexes(onProgress) {
+    const databases = await findPropertyDatabases();
+    for (const urn of indexes.keys()) {
+        if (!databases.has(urn)) {
+            indexes.delete(urn);
+        }
+    }
+    let done = 0;
+    for (const [urn, baseUrl] of databases) {
+        if (!indexes.has(urn) || indexes.get(urn).baseUrl !== baseUrl) {
+            try {
+                indexes.set(urn, await loadPropertyDatabase(urn, baseUrl));
+            } catch(err) {
+                console.error('Could not index properties of', urn, err);
+            }
+        }
+        onProgress({ done: ++done, total: databases.size });
+    }
+    return Array.from(indexes.keys());
+}
+
+/**
+ * Returns a map of URNs of cached models to the URL prefix of their property database files.
+ */
+async function findPropertyDatabases() {
+    const databases = new Map();
+    for (const name of await caches.keys()) {
+        const cache = await caches.open(name);
+        for (const request of await cache.keys()) {
+            if (!request.url.endsWith('objects_attrs.json.gz')) {
+                continue;
+            }
+            // Derivative URLs end with the encoded URN of the file, for example,
+            // urn:adsk.viewing:fs.file:<model urn>/output/Resource/objects_attrs.json.gz
+            const path = decodeURIComponent(request.url.slice(request.url.lastIndexOf('/') + 1));
+            const match = path.match(/fs\.file:([^/]+)\//);
+            if (match) {
+                databases.set(match[1], request.url.slice(0, -'attrs.json.gz'.length));
+            }
+        }
+    }
+    return databases;
+}
+
+async function loadPropertyDatabase(urn, baseUrl) {
+    const db = { urn, baseUrl };
+    for (const file of PROPERTY_DB_FILES) {
+        let response = await caches.match(`${baseUrl}${file}.json.gz`);
+        if (!response) {
+            throw new Error(`Missing ${file} property database file.`);
+        }
+        // Encrypted files are requested through the service worker (which controls this worker as well) to decrypt them
+        if (response.headers.has(ENCRYPTED_HEADER)) {
+            response = await fetch(`${baseUrl}${file}.json.gz`);
+            if (!response.ok) {
+                throw new Error(`Could not decrypt ${file} property database file: ${response.status} ${response.statusText}`);
+            }
+        }
+        db[file] = JSON.parse(await readText(await response.arrayBuffer()));
+    }
+    return db;
+}
+
+/**
+ * Decodes a cached file, decompressing it first if it's still gzipped.
+ */
+async function readText(buffer) {
+    const bytes = new Uint8Array(buffer);
+    if (bytes[0] === 0x1f && bytes[1] === 0x8b) {
+        return new Response(new Blob([buffer]).stream().pipeThrough(new DecompressionStream('gzip'))).text();
+    }
+    return new TextDecoder().decode(buffer);
+}
+
+/**
+ * Parses a search query into a list of conditions, separated by commas or the word "and". Each condition is either
+ * a comparison of a property with a value (for example, "Fire Rating = 60", "Width > 900", or "Material ~ concrete"),
+ * or a text that must be contained in the name or any property value of the element (for example, "Doors").
+ */
+function parseQuery(query) {
+    return query.split(/,|\s+and\s+/i).map(part => part.trim()).filter(part => part).map((part) => {
+        const match = part.match(/^(.+?)\s*(!=|>=|<=|=|>|<|~)\s*(.+)$/);
+        return match
+            ? { property: match[1].toLowerCase(), op: match[2], value: match[3].toLowerCase() }
+            : { text: part.toLowerCase() };
+    });
+}
+
+function search(conditions, urns) {
+    const results = [];
+    if (conditions.length === 0) {
+        return results;
+    }
+    for (const urn of urns) {
+        const db = indexes.get(urn);
+        for (let dbId = 1; dbId < db.offs.length && results.length < MAX_RESULTS; dbId++) {
+            const properties = getProperties(db, dbId);
+            if (properties.length > 0 && conditions.every(condition => matches(condition, properties))) {
+                const name = properties.find(prop => prop.category === '__name__');
+                results.push({ urn, dbId, name: name ? String(name.value) : `#${dbId}` });
+            }
+        }
+    }
+    return results;
+}
+
+/**
+ * Lists properties of an element as `{ name, category, value }` objects (property names are lower-cased).
+ */
+function getProperties(db, dbId) {
+    const properties = [];
+    const start = db.offs[dbId] * 2;
+    const end = (dbId + 1 < db.offs.length ? db.offs[dbId + 1] : db.avs.length / 2) * 2;
+    for (let i = start; i < end; i += 2) {
+        const attr = db.attrs[db.avs[i]];
+        if (!Array.isArray(attr)) {
+            continue;
+        }
+        properties.push({
+            name: String(attr[5] || attr[0]).toLowerCase(), // Display name, or the name itself
+            category: attr[1],
+            value: db.vals[db.avs[i + 1]]
+        });
+    }
+    return properties;
+}
+
+function matches(condition, properties) {
+    if (condition.text) {
+        // Internal properties (such as links to parent elements) are skipped, except for the name and category
+        return properties.some(prop => (!prop.category || !prop.category.startsWith('__') || prop.category === '__name__' || prop.category === '__category__')
+            && String(prop.value).toLowerCase().includes(condition.text));
+    }
+    return properties.some((prop) => {
+        if (prop.name !== condition.property) {
+            return false;
+        }
+        const value = String(prop.value).toLowerCase();
+        const number = parseFloat(prop.value);
+        const expected = parseFloat(condition.value);
+        switch (condition.op) {
+            case '=': return value === condition.value || (!isNaN(number) && number === expected);
+            case '!=': return value !== condition.value && (isNaN(number) || number !== expected);
+            case '>': return number > expected;
+            case '<': return number < expected;
+            case '>=': return number >= expected;
+            case '<=': return number <= expected;
+            case '~': return value.includes(condition.value);
+            default: return false;
+        }
+    });
+}
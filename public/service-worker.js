@@ -1,85 +1,29 @@
-const CACHE_NAME = 'aps-disconnected-v4';
+const CACHE_NAME = 'aps-disconnected-v5';
+const CACHE_PREFIX = 'aps-disconnected-'; // Prefix of caches of all versions of the app, see `activateAsync`
+const VIEWER_VERSION = '7.99'; // Replaced by the server with the $APS_VIEWER_VERSION env. variable, if set
+const VIEWER_BASE_URL = `https://developer.api.autodesk.com/modelderivative/v2/viewers/${VIEWER_VERSION}`;
 const MODEL_DERIVATIVE_PATH = 'developer.api.autodesk.com/derivativeservice/v2';
-
-const STATIC_URLS = [
-    '/',
-    '/index.html',
-    '/fonts/Artifakt_Element_Regular.woff2',
-    '/javascript/main.js',
-    '/stylesheets/main.css',
-    // 'https://cdn.autodesk.io/favicon.ico',
-    // 'https://cdn.autodesk.io/logo/black/stacked.png',
-    'https://developer.api.autodesk.com/modelderivative/v2/viewers/7.*/style.css',
-    'https://developer.api.autodesk.com/modelderivative/v2/viewers/7.*/viewer3D.js',
-    'https://developer.api.autodesk.com/modelderivative/v2/viewers/7.*/lmvworker.js',
-    'https://developer.api.autodesk.com/modelderivative/v2/viewers/7.*/res/locales/en/allstrings.json',
-    // 'https://developer.api.autodesk.com/modelderivative/v2/viewers/7.*/res/environments/CityNight_irr.logluv.dds',
-    // 'https://developer.api.autodesk.com/modelderivative/v2/viewers/7.*/res/environments/CityNight_mipdrop.logluv.dds',
-    // 'https://developer.api.autodesk.com/modelderivative/v2/viewers/7.*/res/environments/CoolLight_irr.logluv.dds',
-    // 'https://developer.api.autodesk.com/modelderivative/v2/viewers/7.*/res/environments/CoolLight_mipdrop.logluv.dds',
-    // 'https://developer.api.autodesk.com/modelderivative/v2/viewers/7.*/res/environments/DarkSky_irr.logluv.dds',
-    // 'https://developer.api.autodesk.com/modelderivative/v2/viewers/7.*/res/environments/DarkSky_mipdrop.logluv.dds',
-    // 'https://developer.api.autodesk.com/modelderivative/v2/viewers/7.*/res/environments/GreyRoom_irr.logluv.dds',
-    // 'https://developer.api.autodesk.com/modelderivative/v2/viewers/7.*/res/environments/GreyRoom_mipdrop.logluv.dds',
-    // 'https://developer.api.autodesk.com/modelderivative/v2/viewers/7.*/res/environments/GridLight_irr.logluv.dds',
-    // 'https://developer.api.autodesk.com/modelderivative/v2/viewers/7.*/res/environments/GridLight_mipdrop.logluv.dds',
-    // 'https://developer.api.autodesk.com/modelderivative/v2/viewers/7.*/res/environments/Harbor_irr.logluv.dds',
-    // 'https://developer.api.autodesk.com/modelderivative/v2/viewers/7.*/res/environments/Harbor_mipdrop.logluv.dds',
-    // 'https://developer.api.autodesk.com/modelderivative/v2/viewers/7.*/res/environments/IDViz_irr.logluv.dds',
-    // 'https://developer.api.autodesk.com/modelderivative/v2/viewers/7.*/res/environments/IDViz_mipdrop.logluv.dds',
-    // 'https://developer.api.autodesk.com/modelderivative/v2/viewers/7.*/res/environments/InfinityPool_irr.logluv.dds',
-    // 'https://developer.api.autodesk.com/modelderivative/v2/viewers/7.*/res/environments/InfinityPool_mipdrop.logluv.dds',
-    // 'https://developer.api.autodesk.com/modelderivative/v2/viewers/7.*/res/environments/Night_irr.logluv.dds',
-    // 'https://developer.api.autodesk.com/modelderivative/v2/viewers/7.*/res/environments/Night_mipdrop.logluv.dds',
-    // 'https://developer.api.autodesk.com/modelderivative/v2/viewers/7.*/res/environments/Parking_irr.logluv.dds',
-    // 'https://developer.api.autodesk.com/modelderivative/v2/viewers/7.*/res/environments/Parking_mipdrop.logluv.dds',
-    // 'https://developer.api.autodesk.com/modelderivative/v2/viewers/7.*/res/environments/PhotoBooth_irr.logluv.dds',
-    // 'https://developer.api.autodesk.com/modelderivative/v2/viewers/7.*/res/environments/PhotoBooth_mipdrop.logluv.dds',
-    // 'https://developer.api.autodesk.com/modelderivative/v2/viewers/7.*/res/environments/Plaza_irr.logluv.dds',
-    // 'https://developer.api.autodesk.com/modelderivative/v2/viewers/7.*/res/environments/Plaza_mipdrop.logluv.dds',
-    // 'https://developer.api.autodesk.com/modelderivative/v2/viewers/7.*/res/environments/Reflection_irr.logluv.dds',
-    // 'https://developer.api.autodesk.com/modelderivative/v2/viewers/7.*/res/environments/Reflection_mipdrop.logluv.dds',
-    // 'https://developer.api.autodesk.com/modelderivative/v2/viewers/7.*/res/environments/RimHighlights_irr.logluv.dds',
-    // 'https://developer.api.autodesk.com/modelderivative/v2/viewers/7.*/res/environments/RimHighlights_mipdrop.logluv.dds',
-    // 'https://developer.api.autodesk.com/modelderivative/v2/viewers/7.*/res/environments/RiverRoad_irr.logluv.dds',
-    // 'https://developer.api.autodesk.com/modelderivative/v2/viewers/7.*/res/environments/RiverRoad_mipdrop.logluv.dds',
-    'https://developer.api.autodesk.com/modelderivative/v2/viewers/7.*/res/environments/SharpHighlights_irr.logluv.dds',
-    'https://developer.api.autodesk.com/modelderivative/v2/viewers/7.*/res/environments/SharpHighlights_mipdrop.logluv.dds',
-    // 'https://developer.api.autodesk.com/modelderivative/v2/viewers/7.*/res/environments/SnowField_irr.logluv.dds',
-    // 'https://developer.api.autodesk.com/modelderivative/v2/viewers/7.*/res/environments/SnowField_mipdrop.logluv.dds',
-    // 'https://developer.api.autodesk.com/modelderivative/v2/viewers/7.*/res/environments/SoftLight_irr.logluv.dds',
-    // 'https://developer.api.autodesk.com/modelderivative/v2/viewers/7.*/res/environments/SoftLight_mipdrop.logluv.dds',
-    // 'https://developer.api.autodesk.com/modelderivative/v2/viewers/7.*/res/environments/TranquilityBlue_irr.logluv.dds',
-    // 'https://developer.api.autodesk.com/modelderivative/v2/viewers/7.*/res/environments/TranquilityBlue_mipdrop.logluv.dds',
-    // 'https://developer.api.autodesk.com/modelderivative/v2/viewers/7.*/res/environments/WarmLight_irr.logluv.dds',
-    // 'https://developer.api.autodesk.com/modelderivative/v2/viewers/7.*/res/environments/WarmLight_mipdrop.logluv.dds',
-    'https://developer.api.autodesk.com/modelderivative/v2/viewers/7.*/res/environments/boardwalk_irr.logluv.dds',
-    'https://developer.api.autodesk.com/modelderivative/v2/viewers/7.*/res/environments/boardwalk_mipdrop.logluv.dds',
-    // 'https://developer.api.autodesk.com/modelderivative/v2/viewers/7.*/res/environments/crossroads_irr.logluv.dds',
-    // 'https://developer.api.autodesk.com/modelderivative/v2/viewers/7.*/res/environments/crossroads_mipdrop.logluv.dds',
-    // 'https://developer.api.autodesk.com/modelderivative/v2/viewers/7.*/res/environments/field_irr.logluv.dds',
-    // 'https://developer.api.autodesk.com/modelderivative/v2/viewers/7.*/res/environments/field_mipdrop.logluv.dds',
-    // 'https://developer.api.autodesk.com/modelderivative/v2/viewers/7.*/res/environments/glacier_irr.logluv.dds',
-    // 'https://developer.api.autodesk.com/modelderivative/v2/viewers/7.*/res/environments/glacier_mipdrop.logluv.dds',
-    // 'https://developer.api.autodesk.com/modelderivative/v2/viewers/7.*/res/environments/riverbank_irr.logluv.dds',
-    // 'https://developer.api.autodesk.com/modelderivative/v2/viewers/7.*/res/environments/riverbank_mipdrop.logluv.dds',
-    // 'https://developer.api.autodesk.com/modelderivative/v2/viewers/7.*/res/environments/seaport_irr.logluv.dds',
-    // 'https://developer.api.autodesk.com/modelderivative/v2/viewers/7.*/res/environments/seaport_mipdrop.logluv.dds',
-    'https://developer.api.autodesk.com/modelderivative/v2/viewers/7.*/res/textures/VCarrows.png',
-    'https://developer.api.autodesk.com/modelderivative/v2/viewers/7.*/res/textures/VCarrowsS0.png',
-    'https://developer.api.autodesk.com/modelderivative/v2/viewers/7.*/res/textures/VCarrowsS1.png',
-    'https://developer.api.autodesk.com/modelderivative/v2/viewers/7.*/res/textures/VCcontext.png',
-    'https://developer.api.autodesk.com/modelderivative/v2/viewers/7.*/res/textures/VCcontextS.png',
-    'https://developer.api.autodesk.com/modelderivative/v2/viewers/7.*/res/textures/VCedge1.png',
-    'https://developer.api.autodesk.com/modelderivative/v2/viewers/7.*/res/textures/VChome.png',
-    'https://developer.api.autodesk.com/modelderivative/v2/viewers/7.*/res/textures/VChomeS.png',
-    'https://developer.api.autodesk.com/modelderivative/v2/viewers/7.*/res/textures/cardinalPoint.png',
-    'https://developer.api.autodesk.com/modelderivative/v2/viewers/7.*/res/textures/centerMarker_X.png',
-    'https://developer.api.autodesk.com/modelderivative/v2/viewers/7.*/res/textures/radial-fade-grid.png'
-];
+const DB_NAME = 'aps-disconnected';
+const DB_VERSION = 6;
+const DOWNLOAD_CONCURRENCY = 4; // Max number of files downloaded in parallel when caching a model
+const DOWNLOAD_MAX_ATTEMPTS = 4; // Max number of attempts to download a single file
+const DOWNLOAD_RETRY_DELAY = 1000; // Delay (in ms) before the first retry, doubled with every following attempt
+const STORAGE_RESERVE = 0.1; // Fraction of the storage quota we try to keep free when caching models
+const PINS_SYNC_TAG = 'download-pinned-models'; // Background Sync tag for downloading pinned models
+const PINS_PERIODIC_SYNC_TAG = 'refresh-pinned-models'; // Periodic Background Sync tag for refreshing pinned models
+const ISSUES_SYNC_TAG = 'sync-issues'; // Background Sync tag for pushing issues created or changed offline
+const OFFLINE_TOKEN_LIFETIME = 60; // Lifetime (in seconds) reported for tokens handed out while offline
+const PRECACHE_URL = `/api/precache?viewer=${VIEWER_VERSION}`; // Static assets of the app and the viewer, see `installAsync`
+const ENCRYPTED_HEADER = 'X-Encrypted'; // Marks cached responses with encrypted body, see `encryptResponse`
+const ENCRYPTION_ITERATIONS = 250000; // Number of PBKDF2 iterations when deriving the encryption key
+const ENCRYPTION_CHECK = new TextEncoder().encode(CACHE_PREFIX); // Encrypted with the key to tell if another key is the same
+const KEY_REQUEST_TIMEOUT = 1000; // How long (in ms) to wait for a page to hand over the encryption key
+const ACTIVITY_INTERVAL = 60 * 1000; // How often (in ms) the last activity is recorded, see `recordActivity`
+const EVENTS_CHANNEL = 'aps-disconnected-events'; // BroadcastChannel for cache lifecycle and connectivity events, see `broadcast`
+const PROGRESS_EVENT_INTERVAL = 500; // Min delay (in ms) between broadcasted progress events of a single download
 
 const API_URLS = [
-    '/api/token',
+    '/api/config',
     '/api/models'
 ];
 
@@ -104,58 +48,377 @@ self.addEventListener('error', function(event) {
 
 self.addEventListener('message', function(event) {
     console.log('Message event', event.data);
-    messageAsync(event);
+    event.waitUntil(messageAsync(event));
+});
+
+self.addEventListener('online', function() {
+    setConnectivity(true);
+});
+
+self.addEventListener('offline', function() {
+    setConnectivity(false);
+});
+
+self.addEventListener('sync', function(event) {
+    console.log('Sync event', event.tag);
+    if (event.tag === PINS_SYNC_TAG) {
+        event.waitUntil(downloadPins());
+    } else if (event.tag === ISSUES_SYNC_TAG) {
+        event.waitUntil(syncIssues());
+    }
+});
+
+self.addEventListener('periodicsync', function(event) {
+    console.log('Periodic sync event', event.tag);
+    if (event.tag === PINS_PERIODIC_SYNC_TAG) {
+        // Refreshing models in the background doesn't count as using the app, but it's a chance to wipe the data of an idle app
+        event.waitUntil(wipeIfIdle().then(() => refreshPins()));
+    }
 });
 
 async function installAsync(event) {
-    self.skipWaiting(); // Replace old service workers without waiting for them to wrap up
+    // When replacing an older version of the worker, the page asks the user when to activate the new one (see `SKIP_WAITING`)
+    if (!self.registration.active) {
+        self.skipWaiting();
+    }
+    // The list of static assets (including the viewer environments and extensions enabled on the server) is provided by the server
+    const response = await fetch(PRECACHE_URL);
+    if (!response.ok) {
+        throw new Error(`Could not obtain the list of static assets: ${response.status} ${response.statusText}`);
+    }
+    const precache = await response.clone().json();
     const cache = await caches.open(CACHE_NAME);
-    await cache.addAll(STATIC_URLS);
-    await cache.addAll(API_URLS);
+    await cache.addAll(precache.urls);
+    // The list itself is cached as well, as the database must not be touched before this version of the worker is activated:
+    // upgrading it would break the previous version, which keeps controlling the app until then (see `openDatabase`)
+    await cache.put(PRECACHE_URL, response);
+    staticUrls = precache.urls.map(url => new URL(url, self.location.origin).href);
+    // API responses may not be available yet (for example, before the user signs in),
+    // so they're cached individually, and updated again later in `fetchAsync`
+    await Promise.all(API_URLS.map(url => cache.add(url).catch(err => console.log('Could not cache', url, err))));
 }
 
 async function activateAsync() {
+    (await openDatabase()).close(); // Upgrade the database now that the previous version of the worker is gone
+    await migrateCaches();
     const clients = await self.clients.matchAll({ includeUncontrolled: true });
     console.log('Claiming clients', clients.map(client => client.url).join(','));
     await self.clients.claim();
 }
 
-async function fetchAsync(event) {
-    // When requesting an access token, try getting a fresh one first
-    if (event.request.url.endsWith('/api/token')) {
+/**
+ * Moves cached models from caches of older versions of the app into the current cache, deletes the old caches,
+ * and purges static assets that are no longer needed (for example, files of a previous version of the viewer).
+ */
+async function migrateCaches() {
+    const cache = await caches.open(CACHE_NAME);
+    for (const name of await caches.keys()) {
+        if (name === CACHE_NAME || !name.startsWith(CACHE_PREFIX)) {
+            continue;
+        }
+        console.log('Migrating cache', name);
+        const oldCache = await caches.open(name);
+        for (const request of await oldCache.keys()) {
+            if (isModelUrl(request.url) && !await cache.match(request)) {
+                await cache.put(request, await oldCache.match(request));
+            }
+        }
+        await caches.delete(name);
+    }
+    const urls = (await getStaticUrls()).concat([PRECACHE_URL, ...API_URLS].map(url => new URL(url, self.location.origin).href));
+    for (const request of await cache.keys()) {
+        if (!isModelUrl(request.url) && !urls.includes(request.url)) {
+            console.log('Purging obsolete asset', request.url);
+            await cache.delete(request);
+        }
+    }
+}
+
+let staticUrls; // Static assets cached by this version of the worker (see `getStaticUrls`), loaded lazily from the cache
+
+/**
+ * Returns absolute URLs of the static assets cached when this version of the worker was installed,
+ * or an empty list if they cannot be determined (cached responses can still be served without it).
+ */
+async function getStaticUrls() {
+    if (staticUrls === undefined) {
         try {
-            const response = await fetch(event.request);
-            return response;
+            const response = await caches.match(PRECACHE_URL, { cacheName: CACHE_NAME });
+            staticUrls = response ? (await response.json()).urls.map(url => new URL(url, self.location.origin).href) : [];
         } catch(err) {
-            console.log('Could not fetch new token, falling back to cache.', err);
+            console.error('Could not load the list of static assets', err);
+            return [];
         }
     }
+    return staticUrls;
+}
+
+/**
+ * Checks whether the URL belongs to a cached model (as opposed to a static asset of the app).
+ */
+function isModelUrl(url) {
+    const { hostname, pathname } = new URL(url);
+    return pathname.includes('/derivativeservice/v2/')
+        || pathname.includes('/modelderivative/v2/designdata/')
+        || pathname.startsWith('/api/hubs')
+        || /^\/api\/models\/[^/]+\/thumbnail$/.test(pathname)
+        || hostname === 'cdn.derivative.autodesk.com';
+}
+
+async function fetchAsync(event) {
+    // Wipe offline data first if the app hasn't been used for too long
+    await recordActivity();
+
+    // Only reads can be served from the cache, everything else (for example, uploads) goes straight to the network
+    if (event.request.method !== 'GET') {
+        return fetchNetwork(event.request);
+    }
+
+    // When requesting an access token, try getting a fresh one first, and fall back to the offline session
+    if (event.request.url.endsWith('/api/token')) {
+        return fetchToken(event.request);
+    }
 
-    // If there's a cache match, return it
-    const match = await caches.match(event.request.url, { ignoreSearch: true });
+    // Browsed hubs, projects and folders are fetched from the network first, and cached for browsing them offline
+    if (new URL(event.request.url).pathname.startsWith('/api/hubs')) {
+        return fetchHubs(event.request);
+    }
+
+    // If there's a cache match, return it (or the requested range of it)
+    const url = canonicalUrl(event.request.url);
+    const match = await matchCache(url);
     if (match) {
-        // If this is a static asset or known API, try updating the cache as well
-        if (STATIC_URLS.includes(event.request.url) || API_URLS.includes(event.request.url)) {
+        // Opening a cached model starts by requesting its manifest, so remember when that happened
+        if (url.includes('/derivativeservice/v2/manifest/')) {
+            const urn = new URL(url).pathname.split('/').pop();
+            touchUrn(urn).catch((err) => console.log('Could not update last opened date', err));
+        }
+        // If this is a static asset or known API, try updating the cache as well (always with the full body, even if only a range was requested)
+        const apiUrls = API_URLS.map(url => new URL(url, self.location.origin).href);
+        if ((await getStaticUrls()).includes(event.request.url) || apiUrls.includes(event.request.url)) {
             caches.open(CACHE_NAME)
-                .then((cache) => cache.add(event.request))
+                .then((cache) => cache.add(event.request.headers.has('Range') ? event.request.url : event.request))
                 .catch((err) => console.log('Cache not updated, but that\'s ok...', err));
         }
+        try {
+            return await rangeResponse(event.request, await decryptResponse(match));
+        } catch(err) {
+            console.error('Could not decrypt', url, err);
+            return jsonResponse({ error: err.message, locked: !!err.locked }, err.locked ? 423 : 500);
+        }
+    }
+
+    // Never send an expired token upstream
+    if (await isExpiredToken(event.request)) {
+        return jsonResponse({ error: 'Access token has expired.' }, 401);
+    }
+    const response = await fetchNetwork(event.request);
+    // Known APIs that are not cached (yet, or anymore after wiping offline data) are cached with their next response
+    if (response.ok && API_URLS.map(url => new URL(url, self.location.origin).href).includes(event.request.url)) {
+        const copy = response.clone();
+        caches.open(CACHE_NAME)
+            .then((cache) => cache.put(event.request, copy))
+            .catch((err) => console.log('Cache not updated, but that\'s ok...', err));
+    }
+    return response;
+}
+
+/**
+ * Finds the cached response of given (canonical) URL. URLs that only differ in their query strings
+ * are different resources (for example, derivatives or folders of hubs), so the query string
+ * is only ignored when nothing has been cached for the exact URL, and only in favor of a response
+ * cached without any query string (for example, a static asset requested with a cache-busting parameter).
+ */
+async function matchCache(url) {
+    const match = await caches.match(url);
+    if (match || !url.includes('?')) {
         return match;
     }
+    return caches.match(url.slice(0, url.indexOf('?')));
+}
+
+/**
+ * Serves a request from a (decrypted) cached response, honoring the Range header of the request:
+ * a single range of bytes is answered with 206 Partial Content, and a range starting beyond
+ * the end of the file with 416 Range Not Satisfiable. Full responses advertise that ranges are accepted,
+ * so that clients (such as the viewer's PDF loader) can request parts of large files instead of the whole file.
+ */
+async function rangeResponse(request, response) {
+    if (response.status !== 200 || response.type === 'opaque') {
+        return response;
+    }
+    const blob = await response.blob();
+    const headers = new Headers(response.headers);
+    headers.delete('content-encoding'); // The cached body is already decoded
+    headers.set('Accept-Ranges', 'bytes');
+    headers.set('Content-Length', String(blob.size));
+    // Ranges conditional on another version of the file (If-Range) get the whole file
+    const ifRange = request.headers.get('If-Range');
+    const current = !ifRange || ifRange === response.headers.get('ETag') || ifRange === response.headers.get('Last-Modified');
+    const range = current ? parseRange(request.headers.get('Range'), blob.size) : null;
+    if (!range) {
+        return new Response(blob, { status: 200, statusText: response.statusText, headers });
+    }
+    if (range.start === undefined) {
+        return new Response(null, { status: 416, statusText: 'Range Not Satisfiable', headers: { 'Content-Range': `bytes */${blob.size}` } });
+    }
+    headers.set('Content-Range', `bytes ${range.start}-${range.end}/${blob.size}`);
+    headers.set('Content-Length', String(range.end - range.start + 1));
+    return new Response(blob.slice(range.start, range.end + 1), { status: 206, statusText: 'Partial Content', headers });
+}
+
+/**
+ * Parses the Range header for a file of `size` bytes. Returns the `start` and `end` (inclusive) of the requested bytes,
+ * an empty object if the range cannot be satisfied, or null if there's no range, or it's not a single range of bytes
+ * (such requests are answered with the whole file, which is what servers not supporting the range do as well).
+ */
+function parseRange(header, size) {
+    const match = header ? /^bytes=(\d*)-(\d*)$/.exec(header.trim()) : null;
+    if (!match || (match[1] === '' && match[2] === '')) {
+        return null;
+    }
+    if (match[1] === '') {
+        // Suffix range, the last N bytes of the file
+        const length = parseInt(match[2]);
+        return length > 0 && size > 0 ? { start: Math.max(size - length, 0), end: size - 1 } : {};
+    }
+    const start = parseInt(match[1]);
+    const end = match[2] === '' ? Infinity : parseInt(match[2]);
+    if (end < start) {
+        return null;
+    }
+    return start < size ? { start, end: Math.min(end, size - 1) } : {};
+}
+
+let connected = navigator.onLine; // Whether our server can be reached, see `fetchNetwork`
+
+/**
+ * Fetches a request from the network, keeping track of whether our server can be reached: a network error
+ * when requesting our server means we're offline (even if the browser thinks otherwise), and any response
+ * from our server means we're online again. Changes are broadcasted to all pages (see `broadcast`).
+ */
+async function fetchNetwork(request, options) {
+    if (new URL(request.url || request, self.location.origin).origin !== self.location.origin) {
+        return fetch(request, options);
+    }
+    try {
+        const response = await fetch(request, options);
+        setConnectivity(true);
+        return response;
+    } catch(err) {
+        setConnectivity(false);
+        throw err;
+    }
+}
+
+function setConnectivity(online) {
+    if (connected !== online) {
+        console.log(online ? 'Back online' : 'Gone offline');
+        connected = online;
+        broadcast({ event: 'connectivity', online });
+    }
+}
+
+const eventsChannel = self.BroadcastChannel ? new BroadcastChannel(EVENTS_CHANNEL) : null;
+
+/**
+ * Notifies all pages of the app (in any tab) about changes of cached models, with the `event` being one of
+ * 'started', 'progress', 'completed' or 'failed' (downloads and imports of models, with their progress),
+ * 'cleared' or 'evicted' (models removed from the cache), 'wiped' (all offline data removed),
+ * or 'connectivity' (with the `online` flag). Uses BroadcastChannel where available,
+ * and falls back to messaging the pages controlled by this worker.
+ */
+async function broadcast(event) {
+    try {
+        if (eventsChannel) {
+            eventsChannel.postMessage(event);
+            return;
+        }
+        for (const client of await self.clients.matchAll({ type: 'window' })) {
+            client.postMessage(event);
+        }
+    } catch(err) {
+        console.log('Could not broadcast event', event, err);
+    }
+}
 
-    return fetch(event.request);
+/**
+ * Returns a function broadcasting progress of a download or an import, at most once per `PROGRESS_EVENT_INTERVAL`
+ * (except for the final progress).
+ */
+function progressBroadcaster() {
+    let broadcasted = 0;
+    return function(progress) {
+        if (Date.now() - broadcasted >= PROGRESS_EVENT_INTERVAL || progress.done === progress.total) {
+            broadcasted = Date.now();
+            broadcast(Object.assign({ event: 'progress' }, progress));
+        }
+    };
 }
 
 async function messageAsync(event) {
+    await recordActivity();
     switch (event.data.operation) {
         case 'CACHE_URN':
             try {
-                const urls = await cacheUrn(event.data.urn, event.data.access_token);
+                const model = { sha1: event.data.sha1, size: event.data.size };
+                const urls = await cacheUrn(event.data.urn, model, event.data.access_token, (progress) => {
+                    event.ports[0].postMessage(Object.assign({ status: 'progress' }, progress));
+                }, event.data.selection);
+                event.ports[0].postMessage({ status: 'ok', urls });
+            } catch(err) {
+                event.ports[0].postMessage({ error: err.toString() });
+            }
+            break;
+        case 'RESUME_DOWNLOADS':
+            try {
+                const urns = await resumeDownloads(event.data.access_token, (progress) => {
+                    event.ports[0].postMessage(Object.assign({ status: 'progress' }, progress));
+                });
+                event.ports[0].postMessage({ status: 'ok', urns });
+            } catch(err) {
+                event.ports[0].postMessage({ error: err.toString() });
+            }
+            break;
+        case 'VERIFY_URN':
+            try {
+                const result = await verifyUrn(event.data.urn, event.data.repair, event.data.access_token, (progress) => {
+                    event.ports[0].postMessage(Object.assign({ status: 'progress' }, progress));
+                });
+                event.ports[0].postMessage(Object.assign({ status: 'ok' }, result));
+            } catch(err) {
+                event.ports[0].postMessage({ error: err.toString() });
+            }
+            break;
+        case 'SYNC_URN':
+            try {
+                const model = { sha1: event.data.sha1, size: event.data.size };
+                const urls = await syncUrn(event.data.urn, model, event.data.access_token, (progress) => {
+                    event.ports[0].postMessage(Object.assign({ status: 'progress' }, progress));
+                }, event.data.selection);
                 event.ports[0].postMessage({ status: 'ok', urls });
             } catch(err) {
                 event.ports[0].postMessage({ error: err.toString() });
             }
             break;
+        case 'CHECK_UPDATES':
+            try {
+                const urns = await checkUpdates(event.data.models, event.data.access_token);
+                event.ports[0].postMessage({ status: 'ok', urns });
+            } catch(err) {
+                event.ports[0].postMessage({ error: err.toString() });
+            }
+            break;
+        case 'IMPORT_BUNDLE':
+            try {
+                const urn = await importBundle(event.data.bundle, (progress) => {
+                    event.ports[0].postMessage(Object.assign({ status: 'progress' }, progress));
+                });
+                event.ports[0].postMessage({ status: 'ok', urn });
+            } catch(err) {
+                event.ports[0].postMessage({ error: err.toString() });
+            }
+            break;
         case 'CLEAR_URN':
             try {
                 const urls = await clearUrn(event.data.urn);
@@ -172,45 +435,1698 @@ async function messageAsync(event) {
                 event.ports[0].postMessage({ error: err.toString() });
             }
             break;
+        case 'PIN_URN':
+            try {
+                const pin = await pinUrn(event.data.urn, { sha1: event.data.sha1, size: event.data.size }, event.data.selection);
+                event.ports[0].postMessage({ status: 'ok', pin });
+            } catch(err) {
+                event.ports[0].postMessage({ error: err.toString() });
+            }
+            break;
+        case 'UNPIN_URN':
+            try {
+                await unpinUrn(event.data.urn);
+                event.ports[0].postMessage({ status: 'ok' });
+            } catch(err) {
+                event.ports[0].postMessage({ error: err.toString() });
+            }
+            break;
+        case 'LIST_PINS':
+            try {
+                const pins = await dbGetAll('pins');
+                event.ports[0].postMessage({ status: 'ok', pins });
+            } catch(err) {
+                event.ports[0].postMessage({ error: err.toString() });
+            }
+            break;
+        case 'DOWNLOAD_PINS':
+            try {
+                await downloadPins();
+                event.ports[0].postMessage({ status: 'ok' });
+            } catch(err) {
+                event.ports[0].postMessage({ error: err.toString() });
+            }
+            break;
+        case 'GET_SETTINGS':
+            try {
+                const settings = await getSettings();
+                event.ports[0].postMessage({ status: 'ok', settings });
+            } catch(err) {
+                event.ports[0].postMessage({ error: err.toString() });
+            }
+            break;
+        case 'SET_SETTINGS':
+            try {
+                const settings = await setSettings(event.data.settings);
+                event.ports[0].postMessage({ status: 'ok', settings });
+            } catch(err) {
+                event.ports[0].postMessage({ error: err.toString() });
+            }
+            break;
+        case 'LIST_ISSUES':
+            try {
+                const issues = await listIssues(event.data.urn);
+                event.ports[0].postMessage({ status: 'ok', issues });
+            } catch(err) {
+                event.ports[0].postMessage({ error: err.toString() });
+            }
+            break;
+        case 'SAVE_ISSUE':
+            try {
+                const issue = await saveIssue(event.data.issue);
+                event.ports[0].postMessage({ status: 'ok', issue });
+            } catch(err) {
+                event.ports[0].postMessage({ error: err.toString() });
+            }
+            break;
+        case 'DELETE_ISSUE':
+            try {
+                await deleteIssue(event.data.id);
+                event.ports[0].postMessage({ status: 'ok' });
+            } catch(err) {
+                event.ports[0].postMessage({ error: err.toString() });
+            }
+            break;
+        case 'RESOLVE_ISSUE':
+            try {
+                await resolveIssue(event.data.id, event.data.keep);
+                event.ports[0].postMessage({ status: 'ok' });
+            } catch(err) {
+                event.ports[0].postMessage({ error: err.toString() });
+            }
+            break;
+        case 'SYNC_ISSUES':
+            try {
+                await syncIssues(event.data.urns);
+                event.ports[0].postMessage({ status: 'ok' });
+            } catch(err) {
+                event.ports[0].postMessage({ error: err.toString() });
+            }
+            break;
+        case 'LIST_VIEWS':
+            try {
+                const views = await listViews(event.data.urn);
+                event.ports[0].postMessage({ status: 'ok', views });
+            } catch(err) {
+                event.ports[0].postMessage({ error: err.toString() });
+            }
+            break;
+        case 'SAVE_VIEW':
+            try {
+                const view = await saveView(event.data.view);
+                event.ports[0].postMessage({ status: 'ok', view });
+            } catch(err) {
+                event.ports[0].postMessage({ error: err.toString() });
+            }
+            break;
+        case 'DELETE_VIEW':
+            try {
+                await dbDelete('views', event.data.id);
+                event.ports[0].postMessage({ status: 'ok' });
+            } catch(err) {
+                event.ports[0].postMessage({ error: err.toString() });
+            }
+            break;
+        case 'SKIP_WAITING':
+            try {
+                await self.skipWaiting();
+                event.ports[0].postMessage({ status: 'ok' });
+            } catch(err) {
+                event.ports[0].postMessage({ error: err.toString() });
+            }
+            break;
+        case 'GET_ENCRYPTION':
+            try {
+                const encryption = await getEncryptionStatus();
+                event.ports[0].postMessage(Object.assign({ status: 'ok' }, encryption));
+            } catch(err) {
+                event.ports[0].postMessage({ error: err.toString() });
+            }
+            break;
+        case 'ENABLE_ENCRYPTION':
+            try {
+                const key = await enableEncryption(event.data.mode, event.data.passphrase);
+                event.ports[0].postMessage({ status: 'ok', key });
+            } catch(err) {
+                event.ports[0].postMessage({ error: err.toString() });
+            }
+            break;
+        case 'DISABLE_ENCRYPTION':
+            try {
+                await disableEncryption();
+                event.ports[0].postMessage({ status: 'ok' });
+            } catch(err) {
+                event.ports[0].postMessage({ error: err.toString() });
+            }
+            break;
+        case 'UNLOCK_ENCRYPTION':
+            try {
+                const key = await unlockEncryption(event.data.passphrase);
+                event.ports[0].postMessage({ status: 'ok', key });
+            } catch(err) {
+                event.ports[0].postMessage({ error: err.toString() });
+            }
+            break;
+        case 'WIPE_ALL':
+            try {
+                await wipeOfflineData();
+                event.ports[0].postMessage({ status: 'ok' });
+            } catch(err) {
+                event.ports[0].postMessage({ error: err.toString() });
+            }
+            break;
+        case 'GET_CONNECTIVITY':
+            try {
+                event.ports[0].postMessage({ status: 'ok', online: connected });
+            } catch(err) {
+                event.ports[0].postMessage({ error: err.toString() });
+            }
+            break;
+        case 'LIST_PACKAGES':
+            try {
+                const packages = await listPackages();
+                event.ports[0].postMessage({ status: 'ok', packages });
+            } catch(err) {
+                event.ports[0].postMessage({ error: err.toString() });
+            }
+            break;
     }
 }
 
-async function cacheUrn(urn, access_token) {
-    console.log('Caching', urn);
-    // First, ask our server for all derivatives in this URN, and their file URLs
-    const baseUrl = 'https://developer.api.autodesk.com/derivativeservice/v2';
-    const res = await fetch(`/api/models/${urn}/files`);
-    const derivatives = await res.json();
-    // Prepare fetch requests to cache all the URLs
+const activeDownloads = new Map(); // Downloads currently running in this worker, keyed by URN
+
+/**
+ * Caches all files of given URN. The `model` object can provide the `sha1` hash
+ * of the design (used to detect outdated models) and its `size` in bytes
+ * (used as a fallback when estimating the storage needed for the model).
+ * The optional `selection` object (with `guids`, `roles`, and `type` properties,
+ * see the `GET /api/models/:urn/files` endpoint) limits the derivatives to cache.
+ */
+async function cacheUrn(urn, model, access_token, onProgress, selection) {
+    console.log('Caching', urn, selection);
+    // Unless we're resuming an interrupted download, ask our server for all the files to cache
+    let download = await dbGet('downloads', urn);
+    if (!download) {
+        // If the model is already cached (perhaps with a different selection), only download what's missing
+        if (await dbGet('packages', urn)) {
+            return syncUrn(urn, model, access_token, onProgress, selection || null);
+        }
+        const { urls, sizes } = await listUrnFiles(urn, selection);
+        const estimate = Math.max(urls.reduce((total, url) => total + (sizes[url] || 0), 0), model.size || 0);
+        await ensureStorage(urn, estimate);
+        download = { urn, sha1: model.sha1, selection, urls, sizes, hashes: {}, done: [], bytes: 0 };
+        await dbPut('downloads', download);
+    }
+    return runDownload(download, access_token, onProgress);
+}
+
+/**
+ * Updates a cached model to the latest version of its derivatives, downloading
+ * only the files that are new or changed, and removing the files that are no longer used.
+ * When neither the design nor its manifest have changed, a file is considered unchanged if our server
+ * reports the same size for it as when it was cached; other cached files are requested with the ETag
+ * they were cached with, and only downloaded again if it no longer matches.
+ */
+async function syncUrn(urn, model, access_token, onProgress, selection) {
+    console.log('Synchronizing', urn);
+    if (activeDownloads.has(urn)) {
+        return runDownload({ urn }, access_token, onProgress);
+    }
+    const pkg = await dbGet('packages', urn);
+    if (!pkg || await dbGet('downloads', urn)) {
+        return cacheUrn(urn, model, access_token, onProgress, selection);
+    }
+    // Unless a new selection is provided, keep the derivatives that have been selected before
+    if (selection === undefined) {
+        selection = pkg.selection;
+    }
+    const { urls, sizes } = await listUrnFiles(urn, selection);
+    // Re-translations keep the paths of derivatives (and often their sizes), so when the design or its manifest
+    // has changed, only the files identified by their content (shared assets of SVF2 models) can be kept as they are
+    const changed = !!(model.sha1 && pkg.sha1 && model.sha1 !== pkg.sha1)
+        || await fetchManifestHash(urn, access_token) !== pkg.hashes[`https://${MODEL_DERIVATIVE_PATH}/manifest/${urn}`];
     const cache = await caches.open(CACHE_NAME);
-    const options = { headers: { 'Authorization': 'Bearer ' + access_token } };
-    const fetches = [];
-    const manifestUrl = `${baseUrl}/manifest/${urn}`;
-    fetches.push(fetch(manifestUrl, options).then(resp => cache.put(manifestUrl, resp)).then(() => manifestUrl));
+    const etags = pkg.etags || {};
+    const download = { urn, sha1: model.sha1, selection, urls, sizes, hashes: {}, etags: {}, validators: {}, done: [], bytes: 0 };
+    for (const url of urls) {
+        const match = pkg.urls.includes(url) && pkg.hashes[url] && await cache.match(url);
+        if (!match) {
+            continue;
+        }
+        if (sizes[url] && pkg.sizes[url] === sizes[url] && (!changed || new URL(url).hostname === 'cdn.derivative.autodesk.com')) {
+            download.done.push(url);
+            download.hashes[url] = pkg.hashes[url];
+            if (etags[url]) {
+                download.etags[url] = etags[url];
+            }
+            download.bytes += (await match.blob()).size;
+        } else if (etags[url]) {
+            // Other files are downloaded again only if their ETag (recorded when they were cached) no longer matches,
+            // while files cached without an ETag (or by older versions of this app) are always downloaded again
+            download.validators[url] = { etag: etags[url], hash: pkg.hashes[url] };
+        }
+    }
+    download.obsolete = pkg.urls.filter(url => !urls.includes(url));
+    console.log(`Downloading ${urls.length - download.done.length} of ${urls.length} files of`, urn);
+    await ensureStorage(urn, urls.filter(url => !download.done.includes(url)).reduce((total, url) => total + (sizes[url] || 0), 0));
+    await dbPut('downloads', download);
+    return runDownload(download, access_token, onProgress);
+}
+
+/**
+ * Fetches the current Model Derivative manifest of given URN, and returns its hash (see `computeHash`),
+ * to be compared with the hash of the cached manifest.
+ */
+async function fetchManifestHash(urn, access_token) {
+    const manifestUrl = `https://${MODEL_DERIVATIVE_PATH}/manifest/${urn}`;
+    const res = await fetch(endpointUrl(manifestUrl, await getApsEndpoint()), { headers: { 'Authorization': 'Bearer ' + access_token } });
+    if (!res.ok) {
+        throw new Error(`Could not fetch manifest of ${urn}: ${res.status} ${res.statusText}`);
+    }
+    return computeHash(await res.arrayBuffer());
+}
+
+/**
+ * Checks whether any of the cached models have changed on the server, either because
+ * the SHA-1 hash of the design (as reported by `GET /api/models`) is different,
+ * or because its Model Derivative manifest has changed. Resolves with the URNs
+ * of all outdated models, and marks the corresponding packages as outdated.
+ */
+async function checkUpdates(models, access_token) {
+    const outdated = [];
+    for (const pkg of await dbGetAll('packages')) {
+        const model = models.find(model => model.urn === pkg.urn);
+        if (!model) {
+            continue;
+        }
+        try {
+            let changed = !!(model.sha1 && pkg.sha1 && model.sha1 !== pkg.sha1);
+            if (!changed) {
+                changed = await fetchManifestHash(pkg.urn, access_token) !== pkg.hashes[`https://${MODEL_DERIVATIVE_PATH}/manifest/${pkg.urn}`];
+            }
+            if (changed) {
+                outdated.push(pkg.urn);
+            }
+            if (changed !== !!pkg.outdated) {
+                await dbPut('packages', Object.assign({}, pkg, { outdated: changed }));
+            }
+        } catch(err) {
+            console.error('Could not check for updates of', pkg.urn, err);
+        }
+    }
+    return outdated;
+}
+
+async function resumeDownloads(access_token, onProgress) {
+    const downloads = await dbGetAll('downloads');
+    console.log('Resuming downloads', downloads.map(download => download.urn).join(','));
+    const results = await Promise.allSettled(downloads.map(download => runDownload(download, access_token, onProgress)));
+    return downloads.filter((download, i) => results[i].status === 'fulfilled').map(download => download.urn);
+}
+
+async function listUrnFiles(urn, selection) {
+    // Ask our server for all (selected) derivatives in this URN, and their file URLs
+    const baseUrl = 'https://' + MODEL_DERIVATIVE_PATH;
+    const params = new URLSearchParams();
+    for (const key of ['guids', 'roles', 'type']) {
+        if (selection && selection[key] && selection[key].length > 0) {
+            params.set(key, [].concat(selection[key]).join(','));
+        }
+    }
+    // Always revalidate the list with our server; unless the model changed, the server replies with 304 Not Modified
+    const res = await fetch(`/api/models/${urn}/files?${params}`, { cache: 'no-cache' });
+    if (!res.ok) {
+        // Our server describes the reason (for example, a translation that hasn't finished yet) in the 'error' property
+        const body = await res.json().catch(() => ({}));
+        throw new Error(`Could not list files of ${urn}: ${body.error || res.status + ' ' + res.statusText}`);
+    }
+    const derivatives = await res.json();
+    const urls = new Set([`${baseUrl}/manifest/${urn}`]);
+    const sizes = {};
     for (const derivative of derivatives) {
-        const derivUrl = baseUrl + '/derivatives/' + encodeURIComponent(derivative.urn);
-        fetches.push(fetch(derivUrl, options).then(resp => cache.put(derivUrl, resp)).then(() => derivUrl));
+        if (derivative.rootFileName) {
+            urls.add(baseUrl + '/derivatives/' + encodeURIComponent(derivative.urn));
+        }
         for (const file of derivative.files) {
             const fileUrl = baseUrl + '/derivatives/' + encodeURIComponent(derivative.basePath + file);
-            fetches.push(fetch(fileUrl, options).then(resp => cache.put(fileUrl, resp)).then(() => fileUrl));
+            urls.add(fileUrl);
+            if (derivative.sizes && derivative.sizes[file]) {
+                sizes[fileUrl] = derivative.sizes[file];
+            }
+        }
+        // Assets shared across models (such as SVF2 geometries) are listed with their absolute URLs
+        for (const url of derivative.urls || []) {
+            urls.add(url);
         }
     }
-    // Fetch and cache all URLs in parallel
-    const urls = await Promise.all(fetches);
-    return urls;
+    return { urls: Array.from(urls), sizes };
 }
 
-async function clearUrn(urn) {
-    console.log('Clearing cache', urn);
-    const cache = await caches.open(CACHE_NAME);
-    const requests = (await cache.keys()).filter(req => req.url.includes(urn));
-    await Promise.all(requests.map(req => cache.delete(req)));
-    return requests.map(req => req.url);
+/**
+ * Starts downloading the pending files of given download record, or joins
+ * the download if it's already running. Progress of the download is reported
+ * to the optional `onProgress` callback, and broadcasted to all pages.
+ */
+function runDownload(download, access_token, onProgress) {
+    let active = activeDownloads.get(download.urn);
+    if (!active) {
+        const listeners = new Set();
+        const broadcastProgress = progressBroadcaster();
+        const notify = (progress) => {
+            listeners.forEach(listener => listener(progress));
+            broadcastProgress(progress);
+        };
+        broadcast({ event: 'started', urn: download.urn, done: download.done.length, total: download.urls.length, bytes: download.bytes });
+        const promise = downloadFiles(download, access_token, notify)
+            .then((urls) => {
+                broadcast({ event: 'completed', urn: download.urn });
+                return urls;
+            }, (err) => {
+                broadcast({ event: 'failed', urn: download.urn, error: err.toString() });
+                throw err;
+            })
+            .finally(() => activeDownloads.delete(download.urn));
+        active = { listeners, promise };
+        activeDownloads.set(download.urn, active);
+    }
+    if (onProgress) {
+        active.listeners.add(onProgress);
+    }
+    return active.promise;
 }
 
-async function listCached() {
-    console.log('Listing caches');
+async function downloadFiles(download, access_token, notify) {
+    const cache = await caches.open(CACHE_NAME);
+    const key = await getEncryptionKey();
+    const apsEndpoint = await getApsEndpoint();
+    const options = { headers: { 'Authorization': 'Bearer ' + access_token } };
+    const done = new Set(download.done);
+    const failed = [];
+    const report = () => notify({ urn: download.urn, done: done.size, total: download.urls.length, bytes: download.bytes });
+    report();
+    // Download the remaining files through a queue with bounded concurrency,
+    // and record each completed file so that we can resume after an interruption
+    download.hashes = download.hashes || {};
+    download.etags = download.etags || {};
+    const validators = download.validators || {};
+    await runQueue(download.urls.filter(url => !done.has(url)), DOWNLOAD_CONCURRENCY, async function(url) {
+        try {
+            const validator = validators[url];
+            const { size, hash, etag } = await downloadFile(cache, url, endpointUrl(url, apsEndpoint), options, key, validator);
+            download.bytes += size;
+            download.hashes[url] = hash;
+            if (etag) {
+                download.etags[url] = etag;
+            } else {
+                delete download.etags[url];
+            }
+            done.add(url);
+            download.done = Array.from(done);
+            await dbPut('downloads', download);
+        } catch(err) {
+            console.error('Could not download', url, err);
+            failed.push(url);
+        }
+        report();
+    });
+    if (failed.length > 0) {
+        throw new Error(`Could not download ${failed.length} of ${download.urls.length} files of ${download.urn}, please try again to resume.`);
+    }
+    // Remove files from a previous version of the model that are no longer used (by this or any other model)
+    if (download.obsolete) {
+        const shared = await listReferencedUrls(download.urn);
+        await Promise.all(download.obsolete.filter(url => !shared.has(url)).map(url => cache.delete(url)));
+    }
+    // Record the complete list of files so that we can verify the cached model later
+    await dbPut('packages', {
+        urn: download.urn,
+        sha1: download.sha1,
+        selection: download.selection,
+        urls: download.urls,
+        sizes: download.sizes || {},
+        hashes: download.hashes,
+        etags: download.etags,
+        bytes: download.bytes,
+        created: Date.now()
+    });
+    await dbDelete('downloads', download.urn);
+    await cacheThumbnail(download.urn, key);
+    return download.urls;
+}
+
+function thumbnailUrl(urn) {
+    return new URL(`/api/models/${urn}/thumbnail`, self.location.origin).href;
+}
+
+/**
+ * Caches the thumbnail of a model (if it has one), so that the overlay can show it offline. The thumbnail
+ * is not part of the offline package, so a model without a thumbnail is still complete.
+ */
+async function cacheThumbnail(urn, key) {
+    try {
+        const response = await fetch(thumbnailUrl(urn));
+        if (response.ok) {
+            const cache = await caches.open(CACHE_NAME);
+            const headers = { 'Content-Type': response.headers.get('Content-Type') || 'image/png' };
+            await cache.put(thumbnailUrl(urn), await encryptResponse(await response.arrayBuffer(), { status: 200, headers }, key));
+        }
+    } catch(err) {
+        console.log('Could not cache thumbnail of', urn, err);
+    }
+}
+
+/**
+ * Downloads a single file from `sourceUrl` into the cache (under `url`), retrying
+ * with exponential backoff on network errors and server-side failures. When the encryption
+ * `key` is provided, the file is encrypted before it's cached. When a `validator` (with the `etag`
+ * and the SHA-1 `hash` of the cached file) is provided, the file is only downloaded if it has changed.
+ * Returns the size (in bytes), the SHA-1 hash, and the ETag (if any) of the downloaded (or kept) file.
+ */
+async function downloadFile(cache, url, sourceUrl, options, key, validator) {
+    for (let attempt = 1; ; attempt++) {
+        try {
+            const requestHeaders = new Headers(options.headers);
+            if (validator) {
+                requestHeaders.set('If-None-Match', validator.etag);
+            }
+            const response = await fetch(sourceUrl, Object.assign({}, options, { headers: requestHeaders }));
+            if (validator && response.status === 304) {
+                const cached = await cache.match(url);
+                if (cached) {
+                    return { size: (await cached.blob()).size, hash: validator.hash, etag: validator.etag };
+                }
+                validator = null; // The cached file has been removed in the meantime
+                attempt--;
+                continue;
+            }
+            if (!response.ok) {
+                const err = new Error(`${sourceUrl}: ${response.status} ${response.statusText}`);
+                err.retry = response.status === 429 || response.status >= 500;
+                throw err;
+            }
+            // The body is already decoded, so drop the headers describing its encoded form
+            const buffer = await response.arrayBuffer();
+            const headers = new Headers(response.headers);
+            headers.delete('content-encoding');
+            headers.delete('content-length');
+            await cache.put(url, await encryptResponse(buffer, { status: response.status, statusText: response.statusText, headers }, key));
+            return { size: buffer.byteLength, hash: await computeHash(buffer), etag: response.headers.get('ETag') };
+        } catch(err) {
+            if (err.name === 'QuotaExceededError') {
+                err.retry = false;
+            }
+            // Servers that don't allow the If-None-Match header (in CORS requests) fail the request,
+            // so further attempts download the file without the validator
+            if (err instanceof TypeError) {
+                validator = null;
+            }
+            if (err.retry === false || attempt >= DOWNLOAD_MAX_ATTEMPTS) {
+                throw err;
+            }
+            const delay = DOWNLOAD_RETRY_DELAY * Math.pow(2, attempt - 1);
+            console.log(`Download failed, retrying in ${delay}ms`, err);
+            await new Promise(resolve => setTimeout(resolve, delay));
+        }
+    }
+}
+
+/**
+ * Calls async `worker` for every item, with at most `concurrency` calls running at the same time.
+ */
+async function runQueue(items, concurrency, worker) {
+    let next = 0;
+    async function lane() {
+        while (next < items.length) {
+            await worker(items[next++]);
+        }
+    }
+    const lanes = [];
+    for (let i = 0; i < Math.min(concurrency, items.length); i++) {
+        lanes.push(lane());
+    }
+    await Promise.all(lanes);
+}
+
+/**
+ * Verifies that all files of given URN are cached and that their content
+ * hasn't changed since they were downloaded. Resolves with the `state` of the
+ * cached model ('complete', 'incomplete', or 'corrupt') and the lists of `missing`
+ * and `corrupt` URLs. When `repair` is true, the missing and corrupt files
+ * are downloaded again, reporting the progress to the optional `onProgress` callback.
+ */
+async function verifyUrn(urn, repair, access_token, onProgress) {
+    console.log('Verifying', urn);
+    if (activeDownloads.has(urn)) {
+        if (repair) {
+            await runDownload({ urn }, access_token, onProgress);
+            return { state: 'complete', missing: [], corrupt: [] };
+        }
+        return { state: 'incomplete', missing: [], corrupt: [] };
+    }
+
+    // Use the file list of an unfinished download if there is one, then the package manifest,
+    // and finally (for models cached by older versions of this app) ask our server
+    const download = await dbGet('downloads', urn);
+    const pkg = download || await dbGet('packages', urn) || Object.assign({ urn, hashes: {} }, await listUrnFiles(urn, null));
+    const sizes = pkg.sizes || {};
+    const hashes = pkg.hashes || {};
+    const cache = await caches.open(CACHE_NAME);
+    const missing = [], corrupt = [], verified = {};
+    let bytes = 0;
+    for (const url of pkg.urls) {
+        const match = await cache.match(url);
+        if (!match) {
+            missing.push(url);
+            continue;
+        }
+        const buffer = await (await decryptResponse(match)).arrayBuffer();
+        const hash = await computeHash(buffer);
+        if (hashes[url] ? hashes[url] !== hash : (sizes[url] && sizes[url] !== buffer.byteLength)) {
+            corrupt.push(url);
+            continue;
+        }
+        verified[url] = hash;
+        bytes += buffer.byteLength;
+    }
+    const state = corrupt.length > 0 ? 'corrupt' : (missing.length > 0 ? 'incomplete' : 'complete');
+    console.log('Verified', urn, state, { missing, corrupt });
+
+    if (!repair || state === 'complete') {
+        if (!download && pkg.created) {
+            await dbPut('packages', Object.assign({}, pkg, { verified: { state, date: Date.now() } }));
+        }
+        return { state, missing, corrupt };
+    }
+
+    // Only download the files that are missing or corrupt
+    await Promise.all(corrupt.map(url => cache.delete(url)));
+    await dbPut('downloads', {
+        urn,
+        sha1: pkg.sha1,
+        selection: pkg.selection,
+        urls: pkg.urls,
+        sizes,
+        hashes: verified,
+        etags: pkg.etags || {},
+        done: Object.keys(verified),
+        bytes
+    });
+    await runDownload(await dbGet('downloads', urn), access_token, onProgress);
+    return { state: 'complete', missing: [], corrupt: [], repaired: missing.concat(corrupt) };
+}
+
+/**
+ * Lists the offline packages of all models with at least some cached files, with their
+ * `state` being either 'complete', 'incomplete' (download not finished or some files
+ * removed from the cache), or 'corrupt' (when the last verification found corrupt files),
+ * and with the `outdated` flag set when a newer version of the model is available.
+ */
+async function listPackages() {
+    const cache = await caches.open(CACHE_NAME);
+    const cachedUrls = new Set((await cache.keys()).map(req => req.url));
+    const packages = {};
+    for (const pkg of await dbGetAll('packages')) {
+        let state = pkg.urls.every(url => cachedUrls.has(url)) ? 'complete' : 'incomplete';
+        if (pkg.verified && pkg.verified.state === 'corrupt') {
+            state = 'corrupt';
+        }
+        packages[pkg.urn] = { urn: pkg.urn, state, outdated: !!pkg.outdated, total: pkg.urls.length, bytes: pkg.bytes, lastOpened: pkg.lastOpened, selection: pkg.selection, object: pkg.object };
+    }
+    for (const download of await dbGetAll('downloads')) {
+        packages[download.urn] = { urn: download.urn, state: 'incomplete', outdated: false, total: download.urls.length, bytes: download.bytes, selection: download.selection };
+    }
+    return Object.values(packages);
+}
+
+/**
+ * Imports a model bundle (zip archive generated by the `GET /api/models/:urn/bundle` endpoint)
+ * into the cache, and records its offline package. Resolves with the URN of the imported model.
+ */
+async function importBundle(bundle, onProgress) {
+    const entries = readZip(bundle);
+    if (!entries.has('index.json')) {
+        throw new Error('Missing index.json, this is not a model bundle.');
+    }
+    const index = JSON.parse(new TextDecoder().decode(await inflateZipEntry(entries.get('index.json'))));
+    if (!/^[A-Za-z0-9_-]+$/.test(index.urn)) {
+        throw new Error('Invalid URN in the bundle.');
+    }
+    const invalid = index.files.find(file => !getBundleUrl(file, index.urn));
+    if (invalid) {
+        throw new Error(`Invalid URL ${invalid.url} in the bundle, it does not belong to the model.`);
+    }
+    console.log('Importing bundle', index.urn);
+    const cache = await caches.open(CACHE_NAME);
+    const key = await getEncryptionKey();
+    const pkg = { urn: index.urn, sha1: index.object.sha1, object: index.object, urls: [], sizes: {}, hashes: {}, bytes: 0 };
+    const broadcastProgress = progressBroadcaster();
+    broadcast({ event: 'started', urn: index.urn, done: 0, total: index.files.length, bytes: 0 });
+    try {
+        await importFiles(index, entries, cache, pkg, key, (progress) => {
+            onProgress(progress);
+            broadcastProgress(progress);
+        });
+    } catch(err) {
+        broadcast({ event: 'failed', urn: index.urn, error: err.toString() });
+        throw err;
+    }
+    pkg.created = Date.now();
+    await dbDelete('downloads', index.urn);
+    await dbPut('packages', pkg);
+    await cacheThumbnail(index.urn, key);
+    broadcast({ event: 'completed', urn: index.urn });
+    return index.urn;
+}
+
+/**
+ * Returns the (normalized) URL a file from the bundle of given URN is cached under, or null if the URL doesn't belong
+ * to the model: only the manifest of the model, its derivatives (whose URNs include the URN of the model), and assets
+ * shared through the SVF2 CDN are accepted, so that a bundle can never replace the viewer or the app itself in the cache.
+ */
+function getBundleUrl(file, urn) {
+    const baseUrl = 'https://' + MODEL_DERIVATIVE_PATH;
+    try {
+        const url = new URL(file.url.startsWith('https://') ? file.url : baseUrl + file.url).href;
+        if (url === `${baseUrl}/manifest/${urn}`) {
+            return url;
+        }
+        if (url.startsWith(baseUrl + '/derivatives/')) {
+            const derivativeUrn = decodeURIComponent(url.slice(baseUrl.length + '/derivatives/'.length));
+            return derivativeUrn.split(/[/:]/).includes(urn) ? url : null;
+        }
+        return new URL(url).origin === 'https://cdn.derivative.autodesk.com' ? url : null;
+    } catch(err) {
+        return null;
+    }
+}
+
+// Verifies and caches all files listed in the index of a bundle, recording them in the package `pkg`
+async function importFiles(index, entries, cache, pkg, key, onProgress) {
+    for (const file of index.files) {
+        if (!entries.has(file.path)) {
+            throw new Error(`Missing ${file.path} in the bundle.`);
+        }
+        const data = await inflateZipEntry(entries.get(file.path));
+        const hash = await computeHash(data);
+        if (file.hash && file.hash !== hash) {
+            throw new Error(`Corrupt ${file.path} in the bundle.`);
+        }
+        const url = getBundleUrl(file, index.urn);
+        const headers = file.type ? { 'Content-Type': file.type } : {};
+        await cache.put(url, await encryptResponse(data, { status: 200, headers }, key));
+        pkg.urls.push(url);
+        pkg.sizes[url] = data.byteLength;
+        pkg.hashes[url] = hash;
+        pkg.bytes += data.byteLength;
+        onProgress({ urn: index.urn, done: pkg.urls.length, total: index.files.length, bytes: pkg.bytes });
+    }
+}
+
+/**
+ * Reads the central directory of a zip archive, and returns a map of all its entries
+ * with their compression `method` and `data`. Only the "stored" (0) and "deflated" (8)
+ * compression methods are supported, and ZIP64 archives are not supported at all.
+ */
+function readZip(buffer) {
+    const view = new DataView(buffer);
+    // Find the "end of central directory" record, possibly followed by a comment
+    let end = buffer.byteLength - 22;
+    while (end >= 0 && view.getUint32(end, true) !== 0x06054b50) {
+        end--;
+    }
+    if (end < 0) {
+        throw new Error('Not a zip archive.');
+    }
+    const decoder = new TextDecoder();
+    const entries = new Map();
+    const count = view.getUint16(end + 10, true);
+    let offset = view.getUint32(end + 16, true);
+    for (let i = 0; i < count; i++) {
+        const method = view.getUint16(offset + 10, true);
+        const compressedSize = view.getUint32(offset + 20, true);
+        const nameLength = view.getUint16(offset + 28, true);
+        const extraLength = view.getUint16(offset + 30, true);
+        const commentLength = view.getUint16(offset + 32, true);
+        const headerOffset = view.getUint32(offset + 42, true);
+        const name = decoder.decode(new Uint8Array(buffer, offset + 46, nameLength));
+        // The data follows the local file header, whose extra field may differ from the central one
+        const dataOffset = headerOffset + 30 + view.getUint16(headerOffset + 26, true) + view.getUint16(headerOffset + 28, true);
+        entries.set(name, { method, data: buffer.slice(dataOffset, dataOffset + compressedSize) });
+        offset += 46 + nameLength + extraLength + commentLength;
+    }
+    return entries;
+}
+
+async function inflateZipEntry(entry) {
+    switch (entry.method) {
+        case 0:
+            return entry.data;
+        case 8:
+            return new Response(new Blob([entry.data]).stream().pipeThrough(new DecompressionStream('deflate-raw'))).arrayBuffer();
+        default:
+            throw new Error(`Unsupported zip compression method ${entry.method}.`);
+    }
+}
+
+/**
+ * Returns the base URL to download derivatives from, as configured by our server
+ * (this is the URL of our own server when it's configured to mirror models locally).
+ */
+async function getApsEndpoint() {
+    try {
+        const response = await fetchNetwork('/api/config');
+        if (response.ok) {
+            return (await response.json()).apsEndpoint;
+        }
+    } catch(err) {
+        console.log('Could not fetch config, falling back to cache.', err);
+    }
+    const match = await caches.match('/api/config');
+    return match ? (await match.json()).apsEndpoint : 'https://developer.api.autodesk.com';
+}
+
+/**
+ * Derivatives are always cached under their Autodesk Platform Services URL
+ * (https://developer.api.autodesk.com/derivativeservice/v2/...), no matter
+ * where they are downloaded from, so that the cached models keep working
+ * when switching to or from a local mirror.
+ */
+function canonicalUrl(url) {
+    const { pathname, search } = new URL(url);
+    return pathname.startsWith('/derivativeservice/v2/') ? 'https://developer.api.autodesk.com' + pathname + search : url;
+}
+
+function endpointUrl(url, apsEndpoint) {
+    const { pathname, search } = new URL(url);
+    return pathname.startsWith('/derivativeservice/v2/') ? apsEndpoint + pathname + search : url;
+}
+
+/**
+ * Pins given URN, queueing it for download in the background (using Background Sync
+ * where available), and keeping it up to date (using Periodic Background Sync where available).
+ */
+async function pinUrn(urn, model, selection) {
+    console.log('Pinning', urn);
+    const pin = { urn, sha1: model.sha1, size: model.size, selection, state: 'queued', pinned: Date.now() };
+    await dbPut('pins', pin);
+    if (self.registration.sync) {
+        await self.registration.sync.register(PINS_SYNC_TAG);
+    } else {
+        downloadPins().catch(err => console.log('Pinned models not downloaded yet', err));
+    }
+    return pin;
+}
+
+async function unpinUrn(urn) {
+    console.log('Unpinning', urn);
+    await dbDelete('pins', urn);
+}
+
+let pinsDownload = null; // Download of pinned models currently in progress, if any
+
+/**
+ * Downloads all pinned models that are queued for download. Rejects if any of the downloads
+ * fails, so that Background Sync can try again later.
+ */
+function downloadPins() {
+    if (!pinsDownload) {
+        pinsDownload = downloadPinsAsync().finally(() => pinsDownload = null);
+    }
+    return pinsDownload;
+}
+
+async function downloadPinsAsync() {
+    const pins = (await dbGetAll('pins')).filter(pin => pin.state !== 'done');
+    if (pins.length === 0) {
+        return;
+    }
+    const access_token = await fetchAccessToken();
+    let failed = 0;
+    for (const pin of pins) {
+        await updatePin(pin.urn, { state: 'downloading' });
+        try {
+            await cacheUrn(pin.urn, { sha1: pin.sha1, size: pin.size }, access_token, null, pin.selection);
+            await updatePin(pin.urn, { state: 'done', synced: Date.now(), error: null });
+        } catch(err) {
+            console.error('Could not download pinned model', pin.urn, err);
+            await updatePin(pin.urn, { state: 'queued', error: err.toString() });
+            failed++;
+        }
+    }
+    if (failed > 0) {
+        throw new Error(`Could not download ${failed} of ${pins.length} pinned models.`);
+    }
+}
+
+/**
+ * Checks whether any of the pinned models have changed on the server,
+ * and downloads the changes.
+ */
+async function refreshPins() {
+    const pins = await dbGetAll('pins');
+    if (pins.length === 0) {
+        return;
+    }
+    const access_token = await fetchAccessToken();
+    const response = await fetch('/api/models');
+    if (!response.ok) {
+        throw new Error(`Could not list models: ${response.status} ${response.statusText}`);
+    }
+    const models = (await response.json()).map((object) => ({ urn: btoa(object.objectId).replace(/=+$/, ''), sha1: object.sha1, size: object.size }));
+    const outdated = await checkUpdates(models, access_token);
+    for (const pin of pins) {
+        const model = models.find(model => model.urn === pin.urn);
+        if (outdated.includes(pin.urn) || !await dbGet('packages', pin.urn)) {
+            await updatePin(pin.urn, { state: 'queued', sha1: model ? model.sha1 : pin.sha1, size: model ? model.size : pin.size });
+        }
+    }
+    await downloadPins();
+}
+
+async function updatePin(urn, changes) {
+    const pin = await dbGet('pins', urn);
+    if (pin) {
+        await dbPut('pins', Object.assign(pin, changes));
+    }
+}
+
+/**
+ * Lists the saved views of given URN, oldest first.
+ */
+async function listViews(urn) {
+    return (await dbGetAll('views')).filter(view => view.urn === urn).sort((a, b) => a.created - b.created);
+}
+
+/**
+ * Saves a named view of a model (with its `id`, `urn`, `name`, the `viewable` GUID of the 3D view or 2D sheet,
+ * and the viewer `state` with the camera, isolated and selected elements, and section planes). Views are kept
+ * on this device only, and unlike the cached files, they're kept when the model is removed from the cache.
+ */
+async function saveView(view) {
+    const saved = Object.assign({ created: Date.now() }, await dbGet('views', view.id), view, { modified: Date.now() });
+    await dbPut('views', saved);
+    return saved;
+}
+
+/**
+ * Lists issues of given URN, including local changes that have not been pushed to the server yet
+ * (marked as `pending`), and changes that could not be pushed because the issue has been changed
+ * by someone else in the meantime (with the other copy of the issue in the `conflict` property).
+ */
+async function listIssues(urn) {
+    return (await dbGetAll('issues')).filter(issue => issue.urn === urn && (!issue.deleted || issue.conflict));
+}
+
+/**
+ * Stores a new or updated issue (with at least its `id` and `urn`), and schedules pushing it to the server.
+ */
+async function saveIssue(changes) {
+    const current = await dbGet('issues', changes.id);
+    const issue = Object.assign({ version: 0, status: 'open' }, current, changes, {
+        version: current ? current.version : 0, // Version of the issue on the server the changes are based on
+        pending: true,
+        modified: Date.now()
+    });
+    await dbPut('issues', issue);
+    await scheduleIssuesSync();
+    return issue;
+}
+
+async function deleteIssue(id) {
+    const issue = await dbGet('issues', id);
+    if (!issue) {
+        return;
+    }
+    if (issue.version === 0 && !issue.conflict) {
+        await dbDelete('issues', id); // The issue has never left this device
+    } else {
+        await dbPut('issues', Object.assign(issue, { deleted: true, pending: true, modified: Date.now() }));
+        await scheduleIssuesSync();
+    }
+}
+
+/**
+ * Resolves a conflict of an issue, either by keeping the local changes (pushing them to the server
+ * over the other changes), or by replacing them with the copy of the issue from the server.
+ */
+async function resolveIssue(id, keep) {
+    const issue = await dbGet('issues', id);
+    if (!issue || !issue.conflict) {
+        return;
+    }
+    if (keep === 'local') {
+        await dbPut('issues', Object.assign(issue, { version: issue.conflict.version, conflict: null, pending: true }));
+        await scheduleIssuesSync();
+    } else if (issue.conflict.deleted) {
+        await dbDelete('issues', id);
+    } else {
+        await dbPut('issues', Object.assign({}, issue.conflict, { urn: issue.urn, pending: false, conflict: null }));
+    }
+}
+
+async function scheduleIssuesSync() {
+    if (self.registration.sync) {
+        await self.registration.sync.register(ISSUES_SYNC_TAG);
+    } else {
+        syncIssues().catch(err => console.log('Issues not synchronized yet', err));
+    }
+}
+
+let issuesSync = null; // Synchronization of issues currently in progress, if any
+
+/**
+ * Pushes pending changes of issues to the server, and pulls the latest issues of all models
+ * with local issues (and of the additional `urns`). Rejects if any of the changes could not be pushed,
+ * so that Background Sync can try again later.
+ */
+function syncIssues(urns = []) {
+    if (!issuesSync) {
+        issuesSync = syncIssuesAsync(urns).finally(() => issuesSync = null);
+    }
+    return issuesSync;
+}
+
+async function syncIssuesAsync(urns) {
+    const issues = await dbGetAll('issues');
+    let failed = 0;
+    for (const issue of issues.filter(issue => issue.pending && !issue.conflict)) {
+        try {
+            await pushIssue(issue);
+        } catch(err) {
+            console.error('Could not push issue', issue.id, err);
+            failed++;
+        }
+    }
+    for (const urn of new Set([...urns, ...issues.map(issue => issue.urn)])) {
+        try {
+            await pullIssues(urn);
+        } catch(err) {
+            console.error('Could not pull issues of', urn, err);
+            failed++;
+        }
+    }
+    if (failed > 0) {
+        throw new Error(`Could not synchronize ${failed} issues or models.`);
+    }
+}
+
+async function pushIssue(issue) {
+    const url = `/api/models/${issue.urn}/issues/${encodeURIComponent(issue.id)}`;
+    const response = issue.deleted
+        ? await fetch(`${url}?baseVersion=${issue.version}`, { method: 'DELETE' })
+        : await fetch(url, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                title: issue.title,
+                description: issue.description,
+                status: issue.status,
+                position: issue.position,
+                dbId: issue.dbId,
+                viewable: issue.viewable,
+                state: issue.state,
+                markup: issue.markup,
+                baseVersion: issue.version
+            })
+        });
+    if (!response.ok && response.status !== 409) {
+        throw new Error(`Could not push issue: ${response.status} ${response.statusText}`);
+    }
+    const result = await response.json();
+    // The issue may have been changed again while it was being pushed
+    const latest = await dbGet('issues', issue.id);
+    if (response.status === 409) {
+        const conflict = result.issue || { deleted: true, version: 0 };
+        await dbPut('issues', Object.assign(latest || issue, { conflict }));
+    } else if (latest && latest.modified !== issue.modified) {
+        await dbPut('issues', Object.assign(latest, { version: result.version }));
+    } else if (result.deleted) {
+        await dbDelete('issues', issue.id);
+    } else {
+        await dbPut('issues', Object.assign(result, { urn: issue.urn, pending: false, conflict: null }));
+    }
+}
+
+async function pullIssues(urn) {
+    const response = await fetch(`/api/models/${urn}/issues`);
+    if (!response.ok) {
+        throw new Error(`Could not pull issues: ${response.status} ${response.statusText}`);
+    }
+    for (const remote of await response.json()) {
+        const local = await dbGet('issues', remote.id);
+        if (local && (local.pending || local.conflict)) {
+            continue; // Local changes are pushed (or the conflict resolved) first
+        }
+        if (remote.deleted) {
+            if (local) {
+                await dbDelete('issues', remote.id);
+            }
+        } else {
+            await dbPut('issues', Object.assign(remote, { urn, pending: false, conflict: null }));
+        }
+    }
+}
+
+async function fetchAccessToken() {
+    const response = await fetch('/api/token');
+    if (!response.ok) {
+        throw new Error(`Could not fetch access token: ${response.status} ${response.statusText}`);
+    }
+    const credentials = await response.json();
+    await startSession(credentials);
+    return credentials.access_token;
+}
+
+let session; // Current session (see `getSession`), loaded lazily from the database
+
+/**
+ * Fetches a new access token for the client. When successful, the token is remembered as the current session
+ * so that it can be handed out (and recognized as expired) while offline. When the server cannot be reached,
+ * the token of the last session is returned with an `offline` flag, and with a short lifetime so that the client
+ * asks for a new token (and signs in again) soon after the connection is restored.
+ */
+async function fetchToken(request) {
+    let response;
+    try {
+        response = await fetchNetwork(request);
+    } catch(err) {
+        console.log('Could not fetch new token, switching to offline session.', err);
+        const session = await getSession();
+        if (!session || !session.access_token) {
+            return jsonResponse({ error: 'Not signed in.', offline: true }, 401);
+        }
+        const remaining = Math.round((session.expires_at - Date.now()) / 1000);
+        return jsonResponse({
+            access_token: session.access_token,
+            token_type: 'Bearer',
+            expires_in: remaining > 0 ? Math.min(remaining, OFFLINE_TOKEN_LIFETIME) : OFFLINE_TOKEN_LIFETIME,
+            expires_at: session.expires_at,
+            user: session.user,
+            offline: true,
+            expired: remaining <= 0
+        });
+    }
+    if (response.ok) {
+        await startSession(await response.clone().json());
+    } else if (response.status === 401) {
+        await endSession();
+    }
+    return response;
+}
+
+/**
+ * Fetches content of hubs, projects or folders, caching successful responses, and falling back
+ * to the cached response when offline. Unlike other API responses, folders are identified
+ * by a query parameter, so the cache is matched including the query string.
+ */
+async function fetchHubs(request) {
+    try {
+        const response = await fetchNetwork(request);
+        if (response.ok) {
+            const cache = await caches.open(CACHE_NAME);
+            await cache.put(request, response.clone());
+        }
+        return response;
+    } catch(err) {
+        console.log('Could not fetch hubs, falling back to cache.', err);
+        const match = await caches.match(request);
+        return match || jsonResponse({ error: 'Not available offline.', offline: true }, 503);
+    }
+}
+
+/**
+ * Returns the current session (`access_token`, `expires_at` and the signed-in `user`, if any),
+ * or null if no token has been obtained yet.
+ */
+async function getSession() {
+    if (session === undefined) {
+        const record = await dbGet('settings', 'session');
+        session = record ? record.value : null;
+    }
+    return session;
+}
+
+/**
+ * Remembers new credentials as the current session. If they belong to a different user
+ * than the previous session, all offline data of the previous user is removed first.
+ */
+async function startSession(credentials) {
+    const previous = await getSession();
+    const user = credentials.user || null;
+    if (previous && previous.user && (!user || previous.user.id !== user.id)) {
+        console.log('User has changed, removing offline data of', previous.user.id);
+        await clearUserData();
+        await resetEncryption();
+    }
+    session = {
+        access_token: credentials.access_token,
+        expires_at: credentials.expires_at || Date.now() + credentials.expires_in * 1000,
+        user
+    };
+    await dbPut('settings', { key: 'session', value: session });
+}
+
+/**
+ * Forgets the token of the current session, for example, after the user signed out.
+ * The user is remembered so that their offline data can be removed if someone else signs in.
+ */
+async function endSession() {
+    const previous = await getSession();
+    session = { access_token: null, expires_at: 0, user: previous ? previous.user : null };
+    await dbPut('settings', { key: 'session', value: session });
+}
+
+/**
+ * Checks whether the request is authorized with the token of the current session that has already expired.
+ */
+async function isExpiredToken(request) {
+    const authorization = request.headers.get('Authorization');
+    if (!authorization) {
+        return false;
+    }
+    const current = await getSession();
+    return !!current && authorization === 'Bearer ' + current.access_token && current.expires_at < Date.now();
+}
+
+/**
+ * Removes all cached models, interrupted downloads, pins, saved views, and browsed hubs.
+ */
+async function clearUserData() {
+    const urns = new Set([
+        ...(await dbGetAll('packages')).map(pkg => pkg.urn),
+        ...(await dbGetAll('downloads')).map(download => download.urn),
+        ...(await dbGetAll('pins')).map(pin => pin.urn)
+    ]);
+    for (const urn of urns) {
+        await clearUrn(urn);
+        await dbDelete('pins', urn);
+    }
+    for (const view of await dbGetAll('views')) {
+        await dbDelete('views', view.id);
+    }
+    const cache = await caches.open(CACHE_NAME);
+    const requests = (await cache.keys()).filter(req => new URL(req.url).pathname.startsWith('/api/hubs'));
+    await Promise.all(requests.map(req => cache.delete(req)));
+}
+
+/**
+ * Removes all offline data: cached models, cached responses of known APIs (such as the list of models), interrupted downloads,
+ * pins, saved views, browsed hubs, issues (including changes that have not been pushed to the server yet), the session,
+ * and the encryption key. Only the static assets of the app are kept.
+ */
+async function wipeOfflineData() {
+    console.log('Wiping offline data');
+    await clearUserData();
+    const cache = await caches.open(CACHE_NAME);
+    const apiUrls = API_URLS.map(url => new URL(url, self.location.origin).href);
+    const requests = (await cache.keys()).filter(req => isModelUrl(req.url) || apiUrls.includes(req.url));
+    await Promise.all(requests.map(req => cache.delete(req)));
+    for (const issue of await dbGetAll('issues')) {
+        await dbDelete('issues', issue.id);
+    }
+    session = null;
+    await dbDelete('settings', 'session');
+    encryptionKey = null;
+    await dbDelete('settings', 'encryption');
+    broadcast({ event: 'wiped' });
+}
+
+let activityRecorded = 0; // When the last activity has been recorded (see `recordActivity`)
+let activityPromise = Promise.resolve();
+
+/**
+ * Records that the app is being used (at most once per `ACTIVITY_INTERVAL`). If it hasn't been used
+ * for longer than the period configured in the settings (`wipeAfterDays`), all offline data is wiped first,
+ * and requests waiting for the returned promise are only served afterwards.
+ */
+function recordActivity() {
+    const now = Date.now();
+    if (now - activityRecorded >= ACTIVITY_INTERVAL) {
+        activityRecorded = now;
+        activityPromise = activityPromise
+            .then(() => wipeIfIdle())
+            .then(() => dbPut('settings', { key: 'activity', value: now }))
+            .catch((err) => console.error('Could not record activity', err));
+    }
+    return activityPromise;
+}
+
+/**
+ * Wipes all offline data if the app hasn't been used for longer than the period configured
+ * in the settings (`wipeAfterDays`). Resolves with true if the data has been wiped.
+ */
+async function wipeIfIdle() {
+    const { wipeAfterDays } = await getSettings();
+    const record = await dbGet('settings', 'activity');
+    if (!wipeAfterDays || !record || Date.now() - record.value < wipeAfterDays * 24 * 60 * 60 * 1000) {
+        return false;
+    }
+    console.log('App has not been used since', new Date(record.value));
+    await wipeOfflineData();
+    return true;
+}
+
+let encryptionKey = null; // Key encrypting cached design data (see `getEncryptionKey`), only ever kept in memory
+let unlocking = null; // Pending attempt to recover the encryption key after the worker has been restarted
+
+/**
+ * Returns the configuration of encryption of cached design data (`mode`, and the `salt` and `check`
+ * of the current key), or null if encryption is disabled. In the 'passphrase' mode, the key is derived
+ * from a passphrase entered by the user, and in the 'session' mode, from a secret our server provides
+ * to the signed-in user (see `GET /api/auth/key`).
+ */
+async function getEncryptionConfig() {
+    const record = await dbGet('settings', 'encryption');
+    return record ? record.value : null;
+}
+
+/**
+ * Returns the encryption `mode` (null if encryption is disabled), whether the cached data is `locked`,
+ * and the encryption `key` for the page to keep in case the worker is restarted.
+ */
+async function getEncryptionStatus() {
+    const config = await getEncryptionConfig();
+    if (!config) {
+        return { mode: null, locked: false, key: null };
+    }
+    try {
+        return { mode: config.mode, locked: false, key: await getEncryptionKey() };
+    } catch(err) {
+        if (!err.locked) {
+            throw err;
+        }
+        return { mode: config.mode, locked: true, key: null };
+    }
+}
+
+/**
+ * Returns the key for encrypting and decrypting cached design data, or null if encryption is disabled.
+ * The key is never stored, so after the worker has been restarted, it's requested from the open pages
+ * or, in the 'session' mode, derived again from the secret of the signed-in user (when online).
+ * Throws an error with the `locked` flag if the key is not available.
+ */
+async function getEncryptionKey() {
+    const config = await getEncryptionConfig();
+    if (!config) {
+        return null;
+    }
+    if (!encryptionKey) {
+        unlocking = unlocking || recoverEncryptionKey(config).finally(() => unlocking = null);
+        encryptionKey = await unlocking;
+    }
+    if (!encryptionKey) {
+        const err = new Error('Offline data is locked.');
+        err.locked = true;
+        throw err;
+    }
+    return encryptionKey;
+}
+
+async function recoverEncryptionKey(config) {
+    if (config.check) {
+        for (const client of await self.clients.matchAll()) {
+            const key = await requestClientKey(client);
+            if (key && await checkEncryptionKey(key, config)) {
+                return key;
+            }
+        }
+    }
+    if (config.mode === 'session') {
+        try {
+            return await unlockEncryption();
+        } catch(err) {
+            console.log('Could not derive encryption key from the session', err);
+        }
+    }
+    return null;
+}
+
+/**
+ * Asks a page for the encryption key it has been given when unlocking the offline data.
+ * Resolves with null if the page doesn't reply in time.
+ */
+function requestClientKey(client) {
+    return new Promise(function(resolve) {
+        const channel = new MessageChannel();
+        const timeout = setTimeout(() => resolve(null), KEY_REQUEST_TIMEOUT);
+        channel.port1.onmessage = function(event) {
+            clearTimeout(timeout);
+            resolve(event.data.key || null);
+        };
+        client.postMessage({ operation: 'GET_KEY' }, [channel.port2]);
+    });
+}
+
+/**
+ * Enables encryption of cached design data in given mode ('passphrase' or 'session'),
+ * and encrypts the models that have already been cached. Resolves with the new key.
+ */
+async function enableEncryption(mode, passphrase) {
+    if (mode !== 'passphrase' && mode !== 'session') {
+        throw new Error(`Unknown encryption mode ${mode}.`);
+    }
+    if (await getEncryptionConfig()) {
+        throw new Error('Encryption is already enabled.');
+    }
+    await dbPut('settings', { key: 'encryption', value: { mode } });
+    let key;
+    try {
+        key = await unlockEncryption(passphrase);
+    } catch(err) {
+        await dbDelete('settings', 'encryption');
+        throw err;
+    }
+    await recryptCache(null, key);
+    return key;
+}
+
+/**
+ * Disables encryption of cached design data, and decrypts the models that have already been cached.
+ */
+async function disableEncryption() {
+    const key = await getEncryptionKey();
+    if (!key) {
+        return;
+    }
+    await dbDelete('settings', 'encryption');
+    encryptionKey = null;
+    await recryptCache(key, null);
+}
+
+/**
+ * Derives the encryption key from given passphrase or, in the 'session' mode, from the secret
+ * of the signed-in user, and checks that it's the same key the cached data has been encrypted with.
+ * If there's no key yet (when enabling encryption, or after offline data of another user has been removed),
+ * a new one is set up. Resolves with the key.
+ */
+async function unlockEncryption(passphrase) {
+    const config = await getEncryptionConfig();
+    if (!config) {
+        throw new Error('Encryption is not enabled.');
+    }
+    const secret = config.mode === 'session' ? await fetchEncryptionSecret() : passphrase;
+    if (!secret) {
+        throw new Error('Missing passphrase.');
+    }
+    if (!config.check) {
+        config.salt = crypto.getRandomValues(new Uint8Array(16));
+        const key = await deriveEncryptionKey(secret, config.salt);
+        config.check = await encryptData(key, ENCRYPTION_CHECK);
+        await dbPut('settings', { key: 'encryption', value: config });
+        encryptionKey = key;
+        return key;
+    }
+    const key = await deriveEncryptionKey(secret, config.salt);
+    if (!await checkEncryptionKey(key, config)) {
+        throw new Error(config.mode === 'session' ? 'Offline data belongs to another user.' : 'Wrong passphrase.');
+    }
+    encryptionKey = key;
+    return key;
+}
+
+/**
+ * Forgets the encryption key in the 'session' mode after the offline data of the previous user
+ * has been removed, so that a new key is set up for the signed-in user.
+ */
+async function resetEncryption() {
+    const config = await getEncryptionConfig();
+    if (config && config.mode === 'session') {
+        encryptionKey = null;
+        await dbPut('settings', { key: 'encryption', value: { mode: config.mode } });
+    }
+}
+
+async function fetchEncryptionSecret() {
+    const response = await fetch('/api/auth/key', { cache: 'no-store' });
+    if (!response.ok) {
+        throw new Error(`Could not fetch encryption secret: ${response.status} ${response.statusText}`);
+    }
+    return (await response.json()).key;
+}
+
+async function deriveEncryptionKey(secret, salt) {
+    const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(secret), 'PBKDF2', false, ['deriveKey']);
+    return crypto.subtle.deriveKey(
+        { name: 'PBKDF2', salt, iterations: ENCRYPTION_ITERATIONS, hash: 'SHA-256' },
+        material,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['encrypt', 'decrypt']
+    );
+}
+
+async function checkEncryptionKey(key, config) {
+    try {
+        await decryptData(key, config.check);
+        return true;
+    } catch(err) {
+        return false;
+    }
+}
+
+/**
+ * Encrypts data with AES-GCM, prepending the random initialization vector to the ciphertext.
+ */
+async function encryptData(key, data) {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, data);
+    const result = new Uint8Array(iv.byteLength + ciphertext.byteLength);
+    result.set(iv);
+    result.set(new Uint8Array(ciphertext), iv.byteLength);
+    return result.buffer;
+}
+
+function decryptData(key, data) {
+    const bytes = new Uint8Array(data);
+    return crypto.subtle.decrypt({ name: 'AES-GCM', iv: bytes.subarray(0, 12) }, key, bytes.subarray(12));
+}
+
+/**
+ * Creates a response to be cached, encrypting its body if the encryption `key` is provided.
+ */
+async function encryptResponse(data, init, key) {
+    if (!key) {
+        return new Response(data, init);
+    }
+    const headers = new Headers(init.headers);
+    headers.set(ENCRYPTED_HEADER, 'AES-GCM');
+    return new Response(await encryptData(key, data), Object.assign({}, init, { headers }));
+}
+
+/**
+ * Returns the decrypted copy of a cached response, or the response itself if it's not encrypted.
+ */
+async function decryptResponse(response) {
+    if (!response.headers.has(ENCRYPTED_HEADER)) {
+        return response;
+    }
+    const key = await getEncryptionKey();
+    if (!key) {
+        throw new Error('Cached data is encrypted but encryption is disabled.');
+    }
+    const headers = new Headers(response.headers);
+    headers.delete(ENCRYPTED_HEADER);
+    const data = await decryptData(key, await response.arrayBuffer());
+    return new Response(data, { status: response.status, statusText: response.statusText, headers });
+}
+
+/**
+ * Encrypts (when `key` is provided) or decrypts (with `previousKey`) the files of all cached models.
+ */
+async function recryptCache(previousKey, key) {
+    const cache = await caches.open(CACHE_NAME);
+    const records = (await dbGetAll('packages')).concat(await dbGetAll('downloads'));
+    const urls = new Set([].concat(...records.map(record => record.urls.concat(thumbnailUrl(record.urn)))));
+    console.log(key ? 'Encrypting' : 'Decrypting', urls.size, 'cached files');
+    for (const url of urls) {
+        const match = await cache.match(url);
+        if (!match || match.headers.has(ENCRYPTED_HEADER) === !!key) {
+            continue;
+        }
+        let data = await match.arrayBuffer();
+        if (previousKey) {
+            data = await decryptData(previousKey, data);
+        }
+        const headers = new Headers(match.headers);
+        headers.delete(ENCRYPTED_HEADER);
+        await cache.put(url, await encryptResponse(data, { status: match.status, statusText: match.statusText, headers }, key));
+    }
+}
+
+function jsonResponse(data, status = 200) {
+    return new Response(JSON.stringify(data), { status, headers: { 'Content-Type': 'application/json' } });
+}
+
+/**
+ * Makes sure there's enough storage for caching `bytes` more bytes of given URN.
+ * If there isn't, and eviction is enabled in the settings, the least recently opened
+ * models are removed from the cache until there's enough storage, otherwise an error is thrown.
+ * The storage is estimated again after every eviction, as the files of evicted models
+ * may be shared with other models, and the cached (possibly encrypted) files don't take
+ * exactly the number of bytes recorded for their model.
+ */
+async function ensureStorage(urn, bytes) {
+    if (!navigator.storage || !navigator.storage.estimate) {
+        return;
+    }
+    let available = await estimateAvailableStorage();
+    if (available >= bytes) {
+        return;
+    }
+    const settings = await getSettings();
+    if (settings.eviction) {
+        const packages = (await dbGetAll('packages'))
+            .filter(pkg => pkg.urn !== urn)
+            .sort((a, b) => (a.lastOpened || a.created) - (b.lastOpened || b.created));
+        for (const pkg of packages) {
+            if (available >= bytes) {
+                break;
+            }
+            console.log('Evicting', pkg.urn);
+            await clearUrn(pkg.urn, 'evicted');
+            available = await estimateAvailableStorage();
+        }
+    }
+    if (available < bytes) {
+        const needed = (bytes / Math.pow(2, 20)).toFixed(2);
+        const free = (Math.max(available, 0) / Math.pow(2, 20)).toFixed(2);
+        throw new Error(`Not enough storage for ${urn}: ~${needed}MB needed, ${free}MB available.`);
+    }
+}
+
+// Returns the number of bytes that can still be stored, keeping STORAGE_RESERVE of the quota free
+async function estimateAvailableStorage() {
+    const { usage, quota } = await navigator.storage.estimate();
+    return quota * (1.0 - STORAGE_RESERVE) - usage;
+}
+
+async function touchUrn(urn) {
+    const pkg = await dbGet('packages', urn);
+    if (pkg) {
+        pkg.lastOpened = Date.now();
+        await dbPut('packages', pkg);
+    }
+}
+
+/**
+ * Returns the settings of the worker:
+ * - `eviction`: when true, least recently opened models are removed from the cache
+ *   to make space for new models when running out of storage
+ * - `wipeAfterDays`: when set, all offline data is wiped after the app hasn't been used
+ *   for the given number of days (see `recordActivity`)
+ */
+async function getSettings() {
+    const record = await dbGet('settings', 'settings');
+    return Object.assign({ eviction: false, wipeAfterDays: 0 }, record ? record.value : {});
+}
+
+async function setSettings(settings) {
+    const value = Object.assign(await getSettings(), settings);
+    await dbPut('settings', { key: 'settings', value });
+    return value;
+}
+
+async function computeHash(buffer) {
+    const hash = await crypto.subtle.digest('SHA-1', buffer);
+    return Array.from(new Uint8Array(hash)).map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Removes all cached files of given URN, and broadcasts the removal as the `reason` event ('cleared' or 'evicted').
+ * Besides the files whose URLs include the URN, this removes the files listed by the package (or the download)
+ * of the model, such as the shared assets of SVF2 models, unless another cached model uses them as well.
+ */
+async function clearUrn(urn, reason = 'cleared') {
+    console.log('Clearing cache', urn);
+    const listed = [await dbGet('downloads', urn), await dbGet('packages', urn)].flatMap(record => record ? record.urls : []);
+    await dbDelete('downloads', urn);
+    await dbDelete('packages', urn);
+    const shared = await listReferencedUrls(urn);
+    const cache = await caches.open(CACHE_NAME);
+    const urls = new Set((await cache.keys()).map(req => req.url).filter(url => url.includes(urn)));
+    listed.forEach(url => urls.add(url));
+    const removed = Array.from(urls).filter(url => !shared.has(url));
+    await Promise.all(removed.map(url => cache.delete(url)));
+    broadcast({ event: reason, urn });
+    return removed;
+}
+
+/**
+ * Returns the URLs of all files listed by the packages and the downloads of cached models other than `exceptUrn`.
+ */
+async function listReferencedUrls(exceptUrn) {
+    const records = (await dbGetAll('packages')).concat(await dbGetAll('downloads'));
+    return new Set(records.filter(record => record.urn !== exceptUrn).flatMap(record => record.urls || []));
+}
+
+async function listCached() {
+    console.log('Listing caches');
     const cache = await caches.open(CACHE_NAME);
     const requests = await cache.keys();
     return requests.map(req => req.url);
+}
+
+/**
+ * Opens the IndexedDB database used to persist the worker's state,
+ * creating or upgrading its object stores when needed. Upgrades only happen once the worker
+ * has been activated (see `installAsync`), and connections are closed when a newer version
+ * of the worker upgrades the database.
+ */
+function openDatabase() {
+    return new Promise(function(resolve, reject) {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = function(event) {
+            const db = request.result;
+            switch (event.oldVersion) {
+                case 0:
+                    db.createObjectStore('downloads', { keyPath: 'urn' }); // Pending model downloads
+                case 1:
+                    db.createObjectStore('packages', { keyPath: 'urn' }); // Lists of files of cached models
+                case 2:
+                    db.createObjectStore('settings', { keyPath: 'key' }); // User settings
+                case 3:
+                    db.createObjectStore('pins', { keyPath: 'urn' }); // Models to download and refresh in the background
+                case 4:
+                    db.createObjectStore('issues', { keyPath: 'id' }); // Issues of models, including changes not pushed to the server yet
+                case 5:
+                    db.createObjectStore('views', { keyPath: 'id' }); // Named viewer states saved by the user
+            }
+        };
+        request.onsuccess = () => {
+            request.result.onversionchange = () => request.result.close();
+            resolve(request.result);
+        };
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Runs a single request against given object store, and returns a promise
+ * that resolves with the request result once the transaction completes.
+ */
+async function dbRequest(storeName, mode, callback) {
+    const db = await openDatabase();
+    return new Promise(function(resolve, reject) {
+        const transaction = db.transaction(storeName, mode);
+        const request = callback(transaction.objectStore(storeName));
+        transaction.oncomplete = () => { db.close(); resolve(request.result); };
+        transaction.onerror = () => { db.close(); reject(transaction.error); };
+        transaction.onabort = () => { db.close(); reject(transaction.error); };
+    });
+}
+
+function dbGet(storeName, key) {
+    return dbRequest(storeName, 'readonly', store => store.get(key));
+}
+
+function dbGetAll(storeName) {
+    return dbRequest(storeName, 'readonly', store => store.getAll());
+}
+
+function dbPut(storeName, value) {
+    return dbRequest(storeName, 'readwrite', store => store.put(value));
+}
+
+function dbDelete(storeName, key) {
+    return dbRequest(storeName, 'readwrite', store => store.delete(key));
 }
\ No newline at end of file
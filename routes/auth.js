@@ -1,20 +1,219 @@
+const crypto = require('crypto');
 const express = require('express');
-const { SdkManagerBuilder } = require('@aps_sdk/autodesk-sdkmanager');
-const { AuthenticationClient, Scopes } = require('@aps_sdk/authentication');
+const { AuthenticationClient, Scopes, ResponseType } = require('@aps_sdk/authentication');
+const log = require('../services/log');
+const { createSdkManager } = require('../services/aps');
 
-const sdkManager = SdkManagerBuilder.create().build();
+const { APS_CLIENT_ID, APS_CLIENT_SECRET, APS_CALLBACK_URL, SERVER_SESSION_SECRET } = process.env;
+const InternalTokenScopes = [Scopes.DataRead, Scopes.ViewablesRead];
+const PublicTokenScopes = [Scopes.ViewablesRead];
+
+const sdkManager = createSdkManager();
 const authenticationClient = new AuthenticationClient(sdkManager);
 let router = express.Router();
 
 // GET /api/token
-// Gets a 2-legged authentication token.
+// Gets an authentication token for the viewer. When the 3-legged flow is enabled
+// (APS_CALLBACK_URL is set), returns the public token of the signed-in user,
+// otherwise a 2-legged token. In both cases the response includes the absolute
+// expiration time (`expires_at`, in milliseconds) so that clients can tell
+// a stale cached token from a valid one.
 router.get('/api/token', async function(req, res, next) {
     try {
-        const credentials = await authenticationClient.getTwoLeggedToken(process.env.APS_CLIENT_ID, process.env.APS_CLIENT_SECRET, [Scopes.ViewablesRead]);
-        res.json(credentials);
+        if (APS_CALLBACK_URL) {
+            const session = await refreshSession(req);
+            if (!session) {
+                res.status(401).json({ error: 'Not signed in.' });
+                return;
+            }
+            res.json({
+                access_token: session.public_token,
+                token_type: 'Bearer',
+                expires_in: Math.round((session.expires_at - Date.now()) / 1000),
+                expires_at: session.expires_at,
+                user: session.user
+            });
+        } else {
+            const credentials = await authenticationClient.getTwoLeggedToken(APS_CLIENT_ID, APS_CLIENT_SECRET, PublicTokenScopes);
+            res.json({ ...credentials, expires_at: Date.now() + credentials.expires_in * 1000 });
+        }
+    } catch(err) {
+        next(err);
+    }
+});
+
+// GET /api/auth/login
+// Redirects to the Autodesk sign-in page, with a random 'state' (kept in the session)
+// that the callback checks, so that it only accepts sign-ins started from this browser.
+router.get('/api/auth/login', function(req, res, next) {
+    if (!APS_CALLBACK_URL) {
+        next();
+        return;
+    }
+    const state = crypto.randomBytes(16).toString('hex');
+    req.session.oauth_state = state;
+    // The state is added to the URL here, as this version of the SDK sends the 'state' option as the nonce
+    const url = new URL(authenticationClient.authorize(APS_CLIENT_ID, ResponseType.Code, APS_CALLBACK_URL, InternalTokenScopes));
+    url.searchParams.set('state', state);
+    res.redirect(url.href);
+});
+
+// GET /api/auth/callback
+// Exchanges the authorization code for tokens, and stores them in the session.
+router.get('/api/auth/callback', async function(req, res, next) {
+    if (!APS_CALLBACK_URL) {
+        next();
+        return;
+    }
+    const state = req.session.oauth_state;
+    delete req.session.oauth_state;
+    if (!state || typeof req.query.state !== 'string' || req.query.state !== state) {
+        res.status(400).json({ error: 'Invalid sign-in state, please sign in again.' });
+        return;
+    }
+    try {
+        const internalCredentials = await authenticationClient.getThreeLeggedToken(APS_CLIENT_ID, req.query.code, APS_CALLBACK_URL, {
+            clientSecret: APS_CLIENT_SECRET
+        });
+        req.session = await createSession(internalCredentials);
+        res.redirect('/');
+    } catch(err) {
+        next(err);
+    }
+});
+
+// POST /api/auth/refresh
+// Refreshes the tokens of the signed-in user, even if they have not expired yet.
+router.post('/api/auth/refresh', async function(req, res, next) {
+    if (!APS_CALLBACK_URL) {
+        next();
+        return;
+    }
+    try {
+        const session = await refreshSession(req, true);
+        if (!session) {
+            res.status(401).json({ error: 'Not signed in.' });
+            return;
+        }
+        res.json({ expires_at: session.expires_at, user: session.user });
+    } catch(err) {
+        next(err);
+    }
+});
+
+// GET /api/auth/logout
+// Clears the session of the signed-in user.
+router.get('/api/auth/logout', function(req, res, next) {
+    if (!APS_CALLBACK_URL) {
+        next();
+        return;
+    }
+    req.session = null;
+    res.redirect('/');
+});
+
+// GET /api/auth/profile
+// Gets basic information about the signed-in user.
+router.get('/api/auth/profile', async function(req, res, next) {
+    if (!APS_CALLBACK_URL) {
+        next();
+        return;
+    }
+    try {
+        const session = await refreshSession(req);
+        if (!session) {
+            res.status(401).json({ error: 'Not signed in.' });
+            return;
+        }
+        res.json(session.user);
     } catch(err) {
         next(err);
     }
 });
 
-module.exports = router;
\ No newline at end of file
+// GET /api/auth/key
+// Returns a secret ('key') unique to the signed-in user, which the service worker derives the key
+// for encrypting cached design data from (in the 'session' encryption mode). The secret is derived
+// from $SERVER_SESSION_SECRET and the user ID, so it stays the same across sessions of the same user.
+router.get('/api/auth/key', async function(req, res, next) {
+    if (!APS_CALLBACK_URL) {
+        next();
+        return;
+    }
+    try {
+        const session = await refreshSession(req);
+        if (!session) {
+            res.status(401).json({ error: 'Not signed in.' });
+            return;
+        }
+        const key = crypto.createHmac('sha256', SERVER_SESSION_SECRET).update('offline-data:' + session.user.id).digest('base64url');
+        res.set('Cache-Control', 'no-store');
+        res.json({ key });
+    } catch(err) {
+        next(err);
+    }
+});
+
+// Rejects requests of users who are not signed in (with 401) when the 3-legged flow is enabled.
+// Otherwise the app has no users, and all requests are let through.
+async function requireSession(req, res, next) {
+    if (!APS_CALLBACK_URL) {
+        next();
+        return;
+    }
+    try {
+        const session = await refreshSession(req);
+        if (!session) {
+            res.status(401).json({ error: 'Not signed in.' });
+            return;
+        }
+        next();
+    } catch(err) {
+        next(err);
+    }
+}
+
+// Creates session data from 3-legged credentials with the internal scopes.
+// The public token (only allowing to view derivatives) is obtained by refreshing
+// the internal credentials with a reduced set of scopes.
+async function createSession(internalCredentials) {
+    const publicCredentials = await authenticationClient.getRefreshToken(APS_CLIENT_ID, internalCredentials.refresh_token, {
+        clientSecret: APS_CLIENT_SECRET,
+        scopes: PublicTokenScopes
+    });
+    const profile = await authenticationClient.getUserInfo(internalCredentials.access_token);
+    return {
+        internal_token: internalCredentials.access_token,
+        public_token: publicCredentials.access_token,
+        refresh_token: publicCredentials.refresh_token,
+        expires_at: Date.now() + internalCredentials.expires_in * 1000,
+        user: { id: profile.sub, name: profile.name }
+    };
+}
+
+// Returns the session of the signed-in user (or null if there is none),
+// refreshing its tokens first if they have expired or if `force` is true.
+async function refreshSession(req, force = false) {
+    if (!req.session || !req.session.refresh_token) {
+        return null;
+    }
+    if (force || req.session.expires_at < Date.now()) {
+        try {
+            const internalCredentials = await authenticationClient.getRefreshToken(APS_CLIENT_ID, req.session.refresh_token, {
+                clientSecret: APS_CLIENT_SECRET,
+                scopes: InternalTokenScopes
+            });
+            req.session = await createSession(internalCredentials);
+        } catch(err) {
+            // The refresh token has expired or has been revoked; the user must sign in again
+            log.warn('Could not refresh session', { error: err.message });
+            req.session = null;
+            return null;
+        }
+    }
+    return req.session;
+}
+
+module.exports = router;
+module.exports.refreshSession = refreshSession;
+module.exports.requireSession = requireSession;
@@ -1,16 +1,34 @@
-const fetch = require('node-fetch');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
 const zip = require('node-zip');
+const yazl = require('yazl');
 const zlib = require('zlib');
+const { once } = require('events');
 const express = require('express');
-const { SdkManagerBuilder } = require('@aps_sdk/autodesk-sdkmanager');
+const multer = require('multer');
 const { AuthenticationClient, Scopes } = require('@aps_sdk/authentication');
 const { OssClient } = require('@aps_sdk/oss');
-const { APS_CLIENT_ID, APS_CLIENT_SECRET, APS_BUCKET} = process.env;
+const { refreshSession, requireSession } = require('./auth');
+const { Extensions } = require('./viewer');
+const { ApsUrl, BaseUrl, ApsError, apsFetch, checkResponse, createSdkManager, isUrn } = require('../services/aps');
+const log = require('../services/log');
+const { APS_CLIENT_ID, APS_CLIENT_SECRET, APS_BUCKET, APS_MIRROR_DIR, APS_CALLBACK_URL } = process.env;
 
-const BaseUrl = 'https://developer.api.autodesk.com';
-const sdkManager = SdkManagerBuilder.create().build();
+const MirrorDir = APS_MIRROR_DIR ? path.resolve(APS_MIRROR_DIR) : null;
+const FileListCacheSize = 100; // Max number of file lists (see GET /api/models/:urn/files) kept in memory
+const CatalogCacheSize = 1000; // Max number of model summaries (see GET /api/models) kept in memory
+const CatalogRefreshInterval = 60 * 1000; // How long (in ms) summaries of models that are not translated yet are kept
+const ThumbnailSize = 200; // Preferred resolution (in pixels) of model thumbnails
+const TranslationFormats = [{ type: 'svf', views: ['2d', '3d'] }]; // SVF, as the viewer and the service worker load models through Derivative Service v2
+const sdkManager = createSdkManager();
 const authenticationClient = new AuthenticationClient(sdkManager);
 const ossClient = new OssClient(sdkManager);
+const MaxUploadSize = 2 * 1024 * 1024 * 1024; // Max size (in bytes) of designs uploaded through POST /api/models
+const UploadChunkSize = 16 * 1024 * 1024; // Size (in bytes) of the parts designs are uploaded to OSS in
+const UploadBatchSize = 25; // Max number of part URLs requested from OSS at once
+const upload = multer({ dest: os.tmpdir(), limits: { fileSize: MaxUploadSize, files: 1 } }); // Uploaded files are streamed to disk, so they can be larger than available memory
 let router = express.Router();
 
 let _credentials = null;
@@ -22,6 +40,47 @@ async function getAccessToken() {
     return _credentials.access_token;
 }
 
+// Uploading designs and starting their translation needs write access to our bucket, so it uses
+// a token of its own, and the token used for everything else (including the derivative proxy) stays read-only
+let _writeCredentials = null;
+async function getWriteAccessToken() {
+    if (!_writeCredentials || _writeCredentials.expires_at < Date.now()) {
+        _writeCredentials = await authenticationClient.getTwoLeggedToken(APS_CLIENT_ID, APS_CLIENT_SECRET, [Scopes.DataRead, Scopes.DataWrite, Scopes.DataCreate]);
+        _writeCredentials.expires_at = Date.now() + _writeCredentials.expires_in * 1000;
+    }
+    return _writeCredentials.access_token;
+}
+
+// Uploading designs and changing the local mirror are only allowed to signed-in users or, when the app
+// has no users (the 3-legged flow is not enabled), to requests from the server machine itself
+function requireWriteAccess(req, res, next) {
+    if (APS_CALLBACK_URL) {
+        requireSession(req, res, next);
+    } else if (['127.0.0.1', '::1', '::ffff:127.0.0.1'].includes(req.socket.remoteAddress)) {
+        next();
+    } else {
+        res.status(403).json({ error: 'This operation is only allowed from the server machine.' });
+    }
+}
+
+// Models from our application's bucket are accessed with the 2-legged token, other models
+// (for example, versions of designs in ACC or BIM 360 projects) with the token of the signed-in user
+async function getModelAccessToken(req, urn) {
+    if (!getObjectPath(urn)) {
+        const session = await refreshSession(req);
+        if (session) {
+            return session.internal_token;
+        }
+    }
+    return getAccessToken();
+}
+
+// Returns the '<bucketKey>/<objectKey>' path of a model stored in OSS, or null for other models
+function getObjectPath(urn) {
+    const id = Buffer.from(urn, 'base64').toString();
+    return id.startsWith('urn:adsk.objects:os.object:') ? id.replace('urn:adsk.objects:os.object:', '') : null;
+}
+
 async function listObjects(bucketKey) {
     const accessToken = await getAccessToken();
     let resp = await ossClient.getObjects(accessToken, bucketKey, { limit: 64 });
@@ -34,68 +93,718 @@ async function listObjects(bucketKey) {
     return objects;
 }
 
+let _catalog = new Map(); // Summaries of models in our bucket (see `getModelSummary`), keyed by URN
+let _derivativeSizes = new Map(); // Total size of all derivatives of models, keyed by URN and manifest version (see `listModelFiles`)
+let _summarizing = new Set(); // URNs of models whose summaries are being computed in the background
+
+// Returns the catalog properties of an object in our bucket (see GET /api/models), or just its URN and
+// 'summaryPending' while the summary is not known yet. Summaries are computed in the background, so that listing
+// hundreds of models doesn't wait for APS to describe each of them, and they're kept in memory until the object
+// changes, or for CatalogRefreshInterval while the model is not translated yet (or could not be described).
+function getModelSummary(object, accessToken) {
+    const urn = Buffer.from(object.objectId).toString('base64').replace(/=+$/, '');
+    const entry = _catalog.get(urn);
+    if (!entry || entry.sha1 !== object.sha1 || (!entry.final && entry.created + CatalogRefreshInterval < Date.now())) {
+        refreshModelSummary(urn, object, accessToken);
+    }
+    if (!entry || entry.sha1 !== object.sha1) {
+        return { urn, summaryPending: true };
+    }
+    // Keep the most recently listed summaries when over the limit
+    _catalog.delete(urn);
+    _catalog.set(urn, entry);
+    return Object.assign({ urn, derivativeSize: _derivativeSizes.get(`${urn}:${entry.version}`) || null }, entry.summary);
+}
+
+function refreshModelSummary(urn, object, accessToken) {
+    if (_summarizing.has(urn)) {
+        return;
+    }
+    _summarizing.add(urn);
+    summarizeModel(urn, object, accessToken)
+        .catch((err) => {
+            log.warn('Could not describe model', { objectKey: object.objectKey, error: err.message });
+            // Listed without the catalog properties, and described again after CatalogRefreshInterval
+            return { sha1: object.sha1, version: null, final: false, created: Date.now(), summary: {} };
+        })
+        .then((entry) => {
+            _catalog.delete(urn);
+            _catalog.set(urn, entry);
+            while (_catalog.size > CatalogCacheSize) {
+                _catalog.delete(_catalog.keys().next().value);
+            }
+        })
+        .finally(() => _summarizing.delete(urn));
+}
+
+async function summarizeModel(urn, object, accessToken) {
+    const [details, manifest] = await Promise.all([
+        getObjectDetails(object.bucketKey, object.objectKey, accessToken),
+        fetchManifest(urn, accessToken)
+    ]);
+    const items = manifest && manifest.status === 'success' ? parseManifest(manifest) : [];
+    const roles = manifest && manifest.status === 'success' ? listViewableRoles(manifest.derivatives) : [];
+    return {
+        sha1: object.sha1,
+        version: manifest ? getManifestVersion(manifest) : null,
+        final: !!manifest && !['pending', 'inprogress'].includes(manifest.status),
+        created: Date.now(),
+        summary: {
+            lastModified: details.lastModifiedDate || null,
+            status: manifest ? manifest.status : 'n/a',
+            progress: manifest ? manifest.progress : undefined,
+            views: { '3d': roles.filter(role => role === '3d').length, '2d': roles.filter(role => role === '2d').length },
+            thumbnail: findThumbnail(items) ? `/api/models/${urn}/thumbnail` : null
+        }
+    };
+}
+
+// Lists roles ('3d' or '2d') of all viewables (geometry nodes) in given manifest nodes and their descendants
+function listViewableRoles(nodes) {
+    const roles = [];
+    for (const node of nodes || []) {
+        if (node.type === 'geometry') {
+            roles.push(node.role);
+        }
+        roles.push(...listViewableRoles(node.children));
+    }
+    return roles;
+}
+
+async function getObjectDetails(bucketKey, objectKey, accessToken) {
+    const res = await apsFetch('object', `/oss/v2/buckets/${encodeURIComponent(bucketKey)}/objects/${encodeURIComponent(objectKey)}/details?with=lastModifiedDate`, {
+        headers: { 'Authorization': 'Bearer ' + accessToken }
+    });
+    await checkResponse(res, `Could not get details of ${objectKey}`);
+    return res.json();
+}
+
+// Picks the thumbnail of the whole model (rather than of one of its views) in the resolution closest to ThumbnailSize
+function findThumbnail(items) {
+    const thumbnails = items.filter(item => item.role === 'thumbnail');
+    const distance = (item) => (item.viewable ? ThumbnailSize * 10 : 0) + Math.abs((item.resolution ? item.resolution[0] : 0) - ThumbnailSize);
+    return thumbnails.sort((a, b) => distance(a) - distance(b))[0] || null;
+}
+
 // GET /api/models
 // Returns a JSON array of objects in our application's bucket ($APS_BUCKET),
 // with each item in the array containing properties 'bucketKey', 'objectKey',
-// 'objectId', 'sha1', 'size', and 'location'.
+// 'objectId', 'sha1', 'size', 'location', and the model 'urn', and (unless APS fails to describe the model)
+// the catalog properties: 'lastModified' (timestamp in ms), 'status' and 'progress' of the translation
+// (see GET /api/models/:urn/status), the number of 'views' (with '3d' and '2d' counts), the 'thumbnail' URL
+// (see GET /api/models/:urn/thumbnail, or null if there's no thumbnail), and 'derivativeSize' (total size
+// of the derivatives in bytes, known once their files have been listed). The catalog properties are not waited for;
+// models that haven't been described yet are marked with 'summaryPending', and described in the background.
 router.get('/api/models', async function(req, res, next) {
     try {
         const objects = await listObjects(APS_BUCKET);
-        res.json(objects);
+        const accessToken = await getAccessToken();
+        res.json(objects.map((object) => Object.assign({}, object, getModelSummary(object, accessToken))));
     } catch(err) {
         next(err);
     }
 });
 
+// POST /api/models
+// Uploads a design (sent as the 'model-file' field of a multipart form) to our application's bucket,
+// and starts its translation. For zipped assemblies, the 'model-zip-entrypoint' field specifies
+// the root design file inside the archive. Returns the details of the new object (with the same
+// properties as GET /api/models) and the 'urn' of the model.
+// Each upload is stored under a new object key, so that it never replaces another design in the bucket.
+router.post('/api/models', requireWriteAccess, receiveModelFile, async function(req, res, next) {
+    if (!req.file) {
+        res.status(400).json({ error: 'Missing the model-file field.' });
+        return;
+    }
+    try {
+        const accessToken = await getWriteAccessToken();
+        const object = await uploadObject(APS_BUCKET, createObjectKey(req.file.originalname), req.file.path, accessToken);
+        const urn = Buffer.from(object.objectId).toString('base64').replace(/=+$/, '');
+        await translateModel(urn, req.body['model-zip-entrypoint'], accessToken);
+        res.json({
+            bucketKey: object.bucketKey,
+            objectKey: object.objectKey,
+            objectId: object.objectId,
+            sha1: object.sha1,
+            size: object.size,
+            location: object.location,
+            urn
+        });
+    } catch(err) {
+        next(err);
+    } finally {
+        fs.promises.unlink(req.file.path).catch(err => log.warn('Could not remove uploaded file', { error: err.message }));
+    }
+});
+
+// Parses the multipart form of POST /api/models, responding with 413 to designs larger than MaxUploadSize
+function receiveModelFile(req, res, next) {
+    upload.single('model-file')(req, res, function(err) {
+        if (err instanceof multer.MulterError) {
+            res.status(err.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({ error: err.code === 'LIMIT_FILE_SIZE' ? `The design is larger than ${MaxUploadSize} bytes.` : err.message });
+        } else {
+            next(err);
+        }
+    });
+}
+
+// Returns a new object key for an uploaded file, keeping (the safe characters of) its name and its extension,
+// which the Model Derivative service uses to pick the translator
+function createObjectKey(filename) {
+    const name = path.basename(filename).replace(/[^A-Za-z0-9._-]+/g, '_').replace(/^[._]+/, '');
+    const ext = path.extname(name).slice(0, 16);
+    const stem = name.slice(0, name.length - ext.length).slice(0, 100) || 'model';
+    return `${stem}-${crypto.randomBytes(6).toString('hex')}${ext}`;
+}
+
+// Uploads a file to OSS in parts of UploadChunkSize bytes (through signed S3 URLs), reading one part
+// from the disk at a time, and returns the details of the new object
+async function uploadObject(bucketKey, objectKey, filePath, accessToken) {
+    const objectUrl = `/oss/v2/buckets/${encodeURIComponent(bucketKey)}/objects/${encodeURIComponent(objectKey)}/signeds3upload`;
+    const headers = { 'Authorization': 'Bearer ' + accessToken };
+    const file = await fs.promises.open(filePath, 'r');
+    try {
+        const { size } = await file.stat();
+        const parts = Math.max(1, Math.ceil(size / UploadChunkSize));
+        let uploadKey = null;
+        for (let firstPart = 1; firstPart <= parts; firstPart += UploadBatchSize) {
+            const query = new URLSearchParams({ firstPart, parts: Math.min(UploadBatchSize, parts - firstPart + 1) });
+            if (uploadKey) {
+                query.set('uploadKey', uploadKey);
+            }
+            const res = await apsFetch('upload', `${objectUrl}?${query}`, { headers });
+            await checkResponse(res, `Could not start upload of ${objectKey}`);
+            const batch = await res.json();
+            uploadKey = batch.uploadKey;
+            for (let i = 0; i < batch.urls.length; i++) {
+                const offset = (firstPart - 1 + i) * UploadChunkSize;
+                const chunk = Buffer.alloc(Math.min(UploadChunkSize, size - offset));
+                await file.read(chunk, 0, chunk.length, offset);
+                const res = await apsFetch('upload', batch.urls[i], { method: 'PUT', body: chunk });
+                await checkResponse(res, `Could not upload part ${firstPart + i} of ${objectKey}`);
+            }
+        }
+        const res = await apsFetch('upload', objectUrl, {
+            method: 'POST',
+            headers: Object.assign({ 'Content-Type': 'application/json' }, headers),
+            body: JSON.stringify({ uploadKey })
+        });
+        await checkResponse(res, `Could not complete upload of ${objectKey}`);
+        return res.json();
+    } finally {
+        await file.close();
+    }
+}
+
+// GET /api/models/:urn/status
+// Returns the translation status of a model, with properties 'status' ('n/a' when the model
+// has not been translated yet, otherwise 'pending', 'inprogress', 'success', 'failed', or 'timeout'),
+// 'progress' (for example, '45% complete'), and 'messages' (errors and warnings reported by the translation).
+router.get('/api/models/:urn/status', async function(req, res, next) {
+    try {
+        const accessToken = await getModelAccessToken(req, req.params.urn);
+        res.set('Cache-Control', 'no-store');
+        res.json(await getTranslationStatus(req.params.urn, accessToken));
+    } catch (err) {
+        next(err);
+    }
+});
+
+// GET /api/models/:urn/thumbnail
+// Returns the thumbnail of a model (generated by its translation, in the resolution closest to ThumbnailSize),
+// or 404 if the model has no thumbnail.
+router.get('/api/models/:urn/thumbnail', async function(req, res, next) {
+    try {
+        const accessToken = await getModelAccessToken(req, req.params.urn);
+        const manifest = await getManifest(req.params.urn, accessToken);
+        const thumbnail = findThumbnail(parseManifest(manifest));
+        if (!thumbnail) {
+            throw new ApsError(`Model ${req.params.urn} has no thumbnail.`, 404, 'not_found');
+        }
+        const data = await getDerivative(thumbnail.urn, accessToken);
+        res.set('Cache-Control', 'private, max-age=3600');
+        res.type(thumbnail.mime || 'image/png');
+        res.send(data);
+    } catch (err) {
+        next(err);
+    }
+});
+
 // GET /api/models/:urn/files
 // Returns a JSON list of all derivatives for a given model URN
-// and a list of files each derivative depends on.
+// and a list of files each derivative depends on, with the 'sizes'
+// property mapping the files to their size in bytes (where available).
+// Assets shared by multiple models (for example, SVF2 geometries and materials)
+// are listed as absolute URLs in the 'urls' property. The list can be filtered
+// using the following (comma-separated) query parameters:
+// - 'guids': GUIDs of viewables (3D views or 2D sheets) to include
+// - 'roles': roles of derivatives to include, or exclude when prefixed with '-' (for example, '-lod')
+// - 'type': type of viewables to include, either '2d' or '3d'
+// Derivatives that don't belong to any viewable (such as the property database) are always
+// included unless excluded by their role. The file lists are cached for each version
+// of the model's manifest, and the response includes an ETag so that clients can
+// revalidate it using the If-None-Match header.
 router.get('/api/models/:urn/files', async function(req, res, next) {
     try {
-        const accessToken = await getAccessToken();
+        const accessToken = await getModelAccessToken(req, req.params.urn);
+        const filter = parseFilter(req.query);
         const manifest = await getManifest(req.params.urn, accessToken);
-        const items = parseManifest(manifest);
-        const derivatives = items.map(async (item) => {
-            let files = [];
-            switch (item.mime) {
-                case 'application/autodesk-svf':
-                    files = await getDerivativesSVF(item.urn, accessToken);
-                    break;
-                case 'application/autodesk-f2d':
-                    files = await getDerivativesF2D(item, accessToken);
-                    break;
-                case 'application/autodesk-db':
-                    files = ['objects_attrs.json.gz', 'objects_vals.json.gz', 'objects_offs.json.gz', 'objects_ids.json.gz', 'objects_avs.json.gz', item.rootFileName];
-                    break;
-                default:
-                    files = [item.rootFileName];
-                    break;
+        const key = getFileListKey(req.params.urn, getManifestVersion(manifest), filter);
+        res.set('ETag', `"${crypto.createHash('sha1').update(key).digest('hex')}"`);
+        res.set('Cache-Control', 'private, no-cache');
+        if (req.fresh) {
+            res.status(304).end();
+            return;
+        }
+        const derivatives = await listModelFiles(req.params.urn, accessToken, filter, manifest);
+        res.json(derivatives);
+    } catch (err) {
+        next(err);
+    }
+});
+
+// GET /api/models/:urn/bundle
+// Returns a zip archive with the manifest, all derivatives and their assets
+// for a given model URN, so that the model can be imported into the cache
+// of another browser. The 'index.json' file in the archive maps the paths
+// of the files in the archive to their Derivative Service URLs. The derivatives
+// can be filtered using the same query parameters as in GET /api/models/:urn/files.
+router.get('/api/models/:urn/bundle', async function(req, res, next) {
+    try {
+        const accessToken = await getModelAccessToken(req, req.params.urn);
+        const object = await getBundleObject(req.params.urn, accessToken);
+        // The archive is streamed to the client as the files are downloaded, so that
+        // large models don't have to fit in memory; the index is added as the last file
+        const pack = new yazl.ZipFile();
+        res.attachment(`${object.objectKey}.zip`);
+        res.type('application/zip');
+        pack.outputStream.pipe(res);
+        const index = await buildBundle(req.params.urn, accessToken, async (path, data) => {
+            if (pack.outputStream.writableNeedDrain) {
+                await Promise.race([once(pack.outputStream, 'drain'), once(res, 'close')]);
             }
-            return Object.assign({}, item, { files });
-        });
-        const urls = await Promise.all(derivatives);
-        res.json(urls);
+            if (res.destroyed) {
+                throw new Error('The bundle download has been cancelled.');
+            }
+            pack.addBuffer(data, path);
+        }, parseFilter(req.query), object);
+        pack.addBuffer(Buffer.from(JSON.stringify(index, null, 2)), 'index.json');
+        pack.end();
     } catch (err) {
         next(err);
     }
 });
 
-async function getManifest(urn, token) {
-    const res = await fetch(BaseUrl + `/modelderivative/v2/designdata/${urn}/manifest`, {
+// GET /api/config
+// Returns the client configuration: the 'apsEndpoint' URL the viewer and the service worker
+// should load derivatives from (when the local mirror is enabled, this is the URL of this server),
+// and 'viewerExtensions', the IDs of viewer extensions to load ($APS_VIEWER_EXTENSIONS).
+router.get('/api/config', function(req, res) {
+    res.json({
+        apsEndpoint: MirrorDir ? `${req.protocol}://${req.get('host')}` : BaseUrl,
+        viewerExtensions: Extensions
+    });
+});
+
+// GET /api/mirror
+// Returns a JSON array of models mirrored to the local disk ($APS_MIRROR_DIR),
+// with each item in the array containing properties 'urn', 'object', and 'created'.
+router.get('/api/mirror', async function(req, res, next) {
+    try {
+        const indexes = await loadMirror();
+        res.json(Array.from(indexes.values()).map(index => ({ urn: index.urn, object: index.object, created: index.created })));
+    } catch (err) {
+        next(err);
+    }
+});
+
+// Changing the mirror writes to (and deletes from) the disk of our server
+router.use('/api/mirror/:urn', function(req, res, next) {
+    if (req.method !== 'POST' && req.method !== 'DELETE') {
+        next();
+    } else {
+        requireWriteAccess(req, res, next);
+    }
+});
+
+// POST /api/mirror/:urn
+// Downloads the manifest, all derivatives and their assets for a given model URN
+// to the local disk, replacing any previously mirrored version of the model.
+router.post('/api/mirror/:urn', async function(req, res, next) {
+    try {
+        if (!MirrorDir) {
+            res.status(400).json({ error: 'Local mirror is not enabled, set the APS_MIRROR_DIR env. variable.' });
+            return;
+        }
+        if (!getMirroredModelDir(req.params.urn)) {
+            res.status(400).json({ error: 'Invalid model URN.' });
+            return;
+        }
+        const index = await mirrorModel(req.params.urn, await getModelAccessToken(req, req.params.urn));
+        res.json({ urn: index.urn, object: index.object, created: index.created });
+    } catch (err) {
+        next(err);
+    }
+});
+
+// DELETE /api/mirror/:urn
+// Removes a model from the local mirror.
+router.delete('/api/mirror/:urn', async function(req, res, next) {
+    try {
+        const indexes = await loadMirror();
+        const modelDir = getMirroredModelDir(req.params.urn);
+        if (!modelDir || !indexes.has(req.params.urn)) {
+            res.status(404).end();
+            return;
+        }
+        await fs.promises.rm(modelDir, { recursive: true, force: true });
+        indexes.delete(req.params.urn);
+        res.status(204).end();
+    } catch (err) {
+        next(err);
+    }
+});
+
+// GET /derivativeservice/v2/manifest/:urn
+// GET /derivativeservice/v2/derivatives/:urn
+// Equivalents of the Derivative Service endpoints used by the viewer, serving
+// files of mirrored models from the local disk, and forwarding all other requests
+// to Autodesk Platform Services (with the same token as the other endpoints of the model).
+// Only available when the local mirror is enabled, as the clients are pointed to this server then.
+if (MirrorDir) {
+    router.get(['/derivativeservice/v2/manifest/:urn', '/derivativeservice/v2/derivatives/:urn'], async function(req, res, next) {
+        try {
+            const url = req.path.slice('/derivativeservice/v2'.length, req.path.lastIndexOf('/') + 1) + encodeURIComponent(req.params.urn);
+            const file = await findMirroredFile(url);
+            if (file) {
+                res.type(file.type || 'application/octet-stream');
+                res.sendFile(file.filename);
+                return;
+            }
+            const { data, type, status } = await getBundleFile(url, await getModelAccessToken(req, getDerivativeModelUrn(req.params.urn)), false);
+            res.status(status).type(type || 'application/octet-stream').send(data);
+        } catch (err) {
+            next(err);
+        }
+    });
+}
+
+// Returns the URN of the model a manifest or a derivative URN (such as 'urn:adsk.viewing:fs.file:<urn>/output/0.svf') belongs to
+function getDerivativeModelUrn(urn) {
+    const match = urn.match(/^urn:adsk\.[a-z]+:fs\.file:(?:[^/]+-storage-[^/]+\/)?([^/]+)\//);
+    return match ? match[1] : urn;
+}
+
+/**
+ * Downloads the manifest, all derivatives and their assets for given URN, passing
+ * the files to `writeFile` callback, and returns the index of all the files,
+ * including their Derivative Service URLs, paths, content types, sizes and SHA-1 hashes.
+ * The details of the design `object` are looked up unless provided by the caller.
+ */
+async function buildBundle(urn, accessToken, writeFile, filter, object) {
+    const derivatives = await listModelFiles(urn, accessToken, filter);
+    object = object || await getBundleObject(urn, accessToken);
+    const entries = [{ url: `/manifest/${urn}`, path: 'manifest.json' }];
+    for (const derivative of derivatives) {
+        if (derivative.rootFileName) {
+            entries.push({
+                url: '/derivatives/' + encodeURIComponent(derivative.urn),
+                path: 'derivatives/' + derivative.localPath + derivative.rootFileName
+            });
+        }
+        for (const file of derivative.files) {
+            entries.push({
+                url: '/derivatives/' + encodeURIComponent(derivative.basePath + file),
+                path: 'derivatives/' + derivative.localPath + file
+            });
+        }
+        for (const url of derivative.urls) {
+            entries.push({ url, path: 'shared' + new URL(url).pathname });
+        }
+    }
+    const files = [];
+    for (const entry of entries) {
+        if (files.find(file => file.path === entry.path)) {
+            continue;
+        }
+        const { data, type } = await getBundleFile(entry.url, accessToken);
+        const hash = crypto.createHash('sha1').update(data).digest('hex');
+        await writeFile(entry.path, data);
+        files.push(Object.assign({}, entry, { type, size: data.length, hash }));
+    }
+    return {
+        urn,
+        object: {
+            bucketKey: object.bucketKey,
+            objectKey: object.objectKey,
+            objectId: object.objectId,
+            sha1: object.sha1,
+            size: object.size
+        },
+        created: new Date().toISOString(),
+        files
+    };
+}
+
+// Returns the details of the design a model was translated from
+async function getBundleObject(urn, accessToken) {
+    const objectPath = getObjectPath(urn);
+    return objectPath
+        ? await ossClient.getObjectDetails(accessToken, objectPath.slice(0, objectPath.indexOf('/')), objectPath.slice(objectPath.indexOf('/') + 1))
+        : { objectKey: urn }; // Models from hubs are only identified by their URN
+}
+
+let _mirror = null;
+async function loadMirror() {
+    if (!_mirror) {
+        _mirror = new Map();
+        if (MirrorDir) {
+            await fs.promises.mkdir(MirrorDir, { recursive: true });
+            for (const urn of await fs.promises.readdir(MirrorDir)) {
+                try {
+                    const index = JSON.parse(await fs.promises.readFile(path.join(MirrorDir, urn, 'index.json'), 'utf8'));
+                    _mirror.set(index.urn, index);
+                } catch (err) {
+                    log.warn('Skipping invalid mirrored model', { urn, error: err.message });
+                }
+            }
+        }
+    }
+    return _mirror;
+}
+
+// Returns the folder of a mirrored model, or null if the URN is not valid, or would point outside of the mirror
+function getMirroredModelDir(urn) {
+    if (!MirrorDir || !isUrn(urn)) {
+        return null;
+    }
+    const modelDir = path.resolve(MirrorDir, urn);
+    return path.dirname(modelDir) === MirrorDir ? modelDir : null;
+}
+
+async function mirrorModel(urn, accessToken) {
+    // Download into a temporary folder first, so that the previous version stays available until we're done
+    const modelDir = getMirroredModelDir(urn);
+    if (!modelDir) {
+        throw new Error(`Invalid model URN ${urn}`);
+    }
+    const tempDir = modelDir + '.download';
+    await fs.promises.rm(tempDir, { recursive: true, force: true });
+    const index = await buildBundle(urn, accessToken, async (filePath, data) => {
+        const filename = path.join(tempDir, filePath);
+        if (!filename.startsWith(tempDir + path.sep)) {
+            throw new Error(`Invalid file path ${filePath}`);
+        }
+        await fs.promises.mkdir(path.dirname(filename), { recursive: true });
+        await fs.promises.writeFile(filename, data);
+    });
+    await fs.promises.writeFile(path.join(tempDir, 'index.json'), JSON.stringify(index, null, 2));
+    await fs.promises.rm(modelDir, { recursive: true, force: true });
+    await fs.promises.rename(tempDir, modelDir);
+    (await loadMirror()).set(urn, index);
+    return index;
+}
+
+async function findMirroredFile(url) {
+    const decodedUrl = decodeURIComponent(url);
+    for (const index of (await loadMirror()).values()) {
+        const file = index.files.find(file => decodeURIComponent(file.url) === decodedUrl);
+        if (file) {
+            return { filename: path.resolve(MirrorDir, index.urn, file.path), type: file.type };
+        }
+    }
+    return null;
+}
+
+function parseFilter(query) {
+    const split = (value) => value ? String(value).split(',').filter(item => item) : null;
+    return {
+        guids: split(query.guids),
+        roles: split(query.roles),
+        type: query.type || null
+    };
+}
+
+function filterItems(items, filter) {
+    return items.filter((item) => {
+        if (filter.roles) {
+            const included = filter.roles.filter(role => !role.startsWith('-'));
+            if (filter.roles.includes('-' + item.role) || (included.length > 0 && !included.includes(item.role))) {
+                return false;
+            }
+        }
+        if (item.viewable) {
+            if (filter.guids && !filter.guids.includes(item.viewable.guid)) {
+                return false;
+            }
+            if (filter.type && item.viewable.role !== filter.type) {
+                return false;
+            }
+        }
+        return true;
+    });
+}
+
+let _fileLists = new Map(); // File lists being computed or already computed, keyed by getFileListKey
+
+function getManifestVersion(manifest) {
+    return crypto.createHash('sha1').update(JSON.stringify(manifest)).digest('hex');
+}
+
+// File lists are identified by the model URN, the version of its manifest, and the filter
+function getFileListKey(urn, version, filter) {
+    return `${urn}:${version}:${JSON.stringify(filter || {})}`;
+}
+
+async function listModelFiles(urn, accessToken, filter, manifest) {
+    manifest = manifest || await getManifest(urn, accessToken);
+    const version = getManifestVersion(manifest);
+    const key = getFileListKey(urn, version, filter);
+    let fileList = _fileLists.get(key);
+    if (!fileList) {
+        // Share the same promise with concurrent requests, and forget it if it fails
+        fileList = computeModelFiles(manifest, accessToken, filter);
+        fileList.catch(() => _fileLists.delete(key));
+        // Remember the total size of all derivatives for the catalog (see GET /api/models)
+        if (!filter || (!filter.guids && !filter.roles && !filter.type)) {
+            fileList.then((derivatives) => recordDerivativeSize(urn, version, derivatives), () => {});
+        }
+        // Drop file lists of older versions of the manifest, and the least recently used ones when over the limit
+        for (const otherKey of _fileLists.keys()) {
+            if (otherKey.startsWith(urn + ':') && !otherKey.startsWith(`${urn}:${version}:`)) {
+                _fileLists.delete(otherKey);
+            }
+        }
+        while (_fileLists.size >= FileListCacheSize) {
+            _fileLists.delete(_fileLists.keys().next().value);
+        }
+    } else {
+        _fileLists.delete(key);
+    }
+    _fileLists.set(key, fileList);
+    return fileList;
+}
+
+function recordDerivativeSize(urn, version, derivatives) {
+    let size = 0;
+    for (const derivative of derivatives) {
+        size += Object.values(derivative.sizes).reduce((total, fileSize) => total + fileSize, 0);
+    }
+    _derivativeSizes.delete(`${urn}:${version}`);
+    _derivativeSizes.set(`${urn}:${version}`, size);
+    while (_derivativeSizes.size > CatalogCacheSize) {
+        _derivativeSizes.delete(_derivativeSizes.keys().next().value);
+    }
+}
+
+async function computeModelFiles(manifest, accessToken, filter) {
+    const items = filter ? filterItems(parseManifest(manifest), filter) : parseManifest(manifest);
+    const derivatives = items.map(async (item) => {
+        let assets = [];
+        let urls = [];
+        switch (item.mime) {
+            case 'application/autodesk-svf':
+                assets = await getDerivativesSVF(item.urn, accessToken);
+                break;
+            case 'application/autodesk-otg':
+                ({ assets, urls } = await getDerivativesOTG(item, accessToken));
+                break;
+            case 'application/autodesk-f2d':
+                assets = await getDerivativesF2D(item, accessToken);
+                break;
+            case 'application/autodesk-db':
+                assets = ['objects_attrs.json.gz', 'objects_vals.json.gz', 'objects_offs.json.gz', 'objects_ids.json.gz', 'objects_avs.json.gz', item.rootFileName].map(URI => ({ URI }));
+                break;
+            default:
+                assets = item.leaflet ? getDerivativesLeaflet(item) : [{ URI: item.rootFileName }];
+                break;
+        }
+        const files = assets.map(asset => asset.URI);
+        const sizes = Object.fromEntries(assets.filter(asset => asset.size).map(asset => [asset.URI, asset.size]));
+        return Object.assign({}, item, { files, sizes, urls });
+    });
+    return Promise.all(derivatives);
+}
+
+async function translateModel(urn, rootFilename, token) {
+    const job = {
+        input: { urn: toUrlSafe(urn) },
+        output: { formats: TranslationFormats }
+    };
+    if (rootFilename) {
+        job.input.compressedUrn = true;
+        job.input.rootFilename = rootFilename;
+    }
+    const res = await apsFetch('job', '/modelderivative/v2/designdata/job', {
+        method: 'POST',
+        headers: { 'Authorization': 'Bearer ' + token, 'Content-Type': 'application/json', 'x-ads-force': 'true' },
+        body: JSON.stringify(job)
+    });
+    await checkResponse(res, `Could not start translation of ${urn}`);
+    return res.json();
+}
+
+async function getTranslationStatus(urn, token) {
+    const manifest = await fetchManifest(urn, token);
+    if (!manifest) {
+        return { status: 'n/a' };
+    }
+    const messages = [];
+    for (const derivative of manifest.derivatives || []) {
+        messages.push(...(derivative.messages || []));
+    }
+    return { status: manifest.status, progress: manifest.progress, messages };
+}
+
+// Returns the manifest of a model whatever the state of its translation, or null if it has not been translated
+async function fetchManifest(urn, token) {
+    const res = await apsFetch('manifest', `/modelderivative/v2/designdata/${toUrlSafe(urn)}/manifest`, {
         compress: true,
         headers: { 'Authorization': 'Bearer ' + token }
     });
+    if (res.status === 404) {
+        return null;
+    }
+    await checkResponse(res, `Could not get manifest of ${urn}`);
     return res.json();
 }
 
+// The Model Derivative jobs expect URNs in the URL-safe variant of base64
+function toUrlSafe(urn) {
+    return urn.replace(/\+/g, '-').replace(/\//g, '_');
+}
+
+// Returns the manifest of a model that has been translated successfully,
+// otherwise throws an `ApsError` telling why the model cannot be viewed (yet)
+async function getManifest(urn, token) {
+    const res = await apsFetch('manifest', `/modelderivative/v2/designdata/${urn}/manifest`, {
+        compress: true,
+        headers: { 'Authorization': 'Bearer ' + token }
+    });
+    if (res.status === 404) {
+        throw new ApsError(`Model ${urn} has not been translated.`, 404, 'not_translated');
+    }
+    await checkResponse(res, `Could not get manifest of ${urn}`);
+    const manifest = await res.json();
+    if (res.status === 202 || manifest.status === 'pending' || manifest.status === 'inprogress') {
+        throw new ApsError(`Translation of ${urn} has not finished yet.`, 409, 'translation_pending', { progress: manifest.progress });
+    }
+    if (manifest.status === 'failed' || manifest.status === 'timeout') {
+        throw new ApsError(`Translation of ${urn} has failed.`, 422, 'translation_failed');
+    }
+    return manifest;
+}
+
 function parseManifest(manifest) {
     const items = [];
-    function parse(node) {
+    function parse(node, viewable) {
         const roles = [
             'Autodesk.CloudPlatform.DesignDescription',
             'Autodesk.CloudPlatform.PropertyDatabase',
             'Autodesk.CloudPlatform.IndexableContent',
             'leaflet-zip',
+            'leaflet',
+            'pdf-page',
             'thumbnail',
             'graphics',
             'preview',
@@ -106,16 +815,32 @@ function parseManifest(manifest) {
         if (roles.includes(node.role)) {
             const item = {
                 guid: node.guid,
-                mime: node.mime
+                role: node.role,
+                mime: node.mime,
+                viewable
             };
+            if (node.role === 'thumbnail') {
+                item.resolution = node.resolution;
+            }
+            if (node.role === 'leaflet') {
+                item.leaflet = {
+                    tileSize: node.tileSize || 256,
+                    maxLevel: node.maxLevel,
+                    resolution: node.resolution
+                };
+            }
             items.push(Object.assign({}, item, getPathInfo(node.urn)));
         }
+        // Remember the viewable (3D view or 2D sheet) the derivatives below belong to
+        if (node.type === 'geometry') {
+            viewable = { guid: node.guid, name: node.name, role: node.role };
+        }
         if (node.children) {
-            node.children.forEach(parse);
+            node.children.forEach(child => parse(child, viewable));
         }
     }
 
-    parse({ children: manifest.derivatives });
+    parse({ children: manifest.derivatives }, null);
     return items;
 }
 
@@ -133,14 +858,27 @@ function getPathInfo(encodedURN) {
 }
 
 async function getDerivative(urn, token) {
-    const res = await fetch(BaseUrl + `/derivativeservice/v2/derivatives/${encodeURIComponent(urn)}`, {
+    const res = await apsFetch('derivative', `/derivativeservice/v2/derivatives/${encodeURIComponent(urn)}`, {
         compress: true,
         headers: { 'Authorization': 'Bearer ' + token }
     });
+    await checkResponse(res, `Could not download derivative ${urn}`);
     const buff = await res.buffer();
     return buff;
 }
 
+async function getBundleFile(url, token, required = true) {
+    const res = await apsFetch('derivative', url.startsWith('https://') ? url : '/derivativeservice/v2' + url, {
+        compress: true,
+        headers: { 'Authorization': 'Bearer ' + token }
+    });
+    if (required) {
+        await checkResponse(res, `Could not download ${url}`);
+    }
+    const data = await res.buffer();
+    return { data, type: res.headers.get('content-type'), status: res.status };
+}
+
 async function getDerivativesSVF(urn, token) {
     const data = await getDerivative(urn, token);
     const pack = new zip(data, { checkCRC32: true, base64: false });
@@ -150,8 +888,7 @@ async function getDerivativesSVF(urn, token) {
     }
 
     return manifest.assets
-        .map(asset => asset.URI)
-        .filter(uri => uri.indexOf('embed:/') === -1);
+        .filter(asset => asset.URI.indexOf('embed:/') === -1);
 }
 
 async function getDerivativesF2D(item, token) {
@@ -164,9 +901,91 @@ async function getDerivativesF2D(item, token) {
     }
 
     return manifest.assets
-        .map(asset => asset.URI)
-        .filter(uri => uri.indexOf('embed:/') === -1)
-        .concat(['manifest.json.gz']);
+        .filter(asset => asset.URI.indexOf('embed:/') === -1)
+        .concat([{ URI: 'manifest.json.gz', size: data.length }]);
+}
+
+// SVF2 derivatives are described by an 'otg_model.json' file, listing the assets of the view
+// (relative to the file) and the base paths of geometries and materials that are shared across
+// models and referenced by their SHA-1 hashes from the 'geometry_ptrs' and 'materials_ptrs' hash lists.
+async function getDerivativesOTG(item, token) {
+    const data = await getDerivative(item.urn, token);
+    const otg = JSON.parse(data.toString('utf8'));
+    if (!otg.manifest || !otg.manifest.assets) {
+        return { assets: [], urls: [] };
+    }
+
+    const assets = [];
+    (function collect(value) {
+        if (typeof value === 'string') {
+            assets.push({ URI: value });
+        } else if (value && typeof value === 'object') {
+            Object.values(value).forEach(collect);
+        }
+    })(otg.manifest.assets);
+
+    const urls = [];
+    const shared = otg.manifest.shared_assets || {};
+    const sharding = (otg.paths && otg.paths.global_sharding) || 0;
+    const hashLists = [
+        [otg.manifest.assets.geometry_ptrs, shared.geometry],
+        [otg.manifest.assets.materials_ptrs, shared.materials]
+    ];
+    for (const [hashList, sharedPath] of hashLists) {
+        if (!hashList || !sharedPath) {
+            continue;
+        }
+        const hashes = parseHashList(await getDerivative(item.basePath + hashList, token));
+        for (const hash of hashes) {
+            const file = sharding > 0 ? `${hash.slice(0, sharding)}/${hash.slice(sharding)}` : hash;
+            urls.push(resolveSharedPath(sharedPath + file, item));
+        }
+    }
+    return { assets, urls };
+}
+
+// Hash lists are sequences of 20-byte SHA-1 hashes, where the first entry is reserved
+function parseHashList(buffer) {
+    const HashSize = 20;
+    const hashes = [];
+    for (let offset = HashSize; offset + HashSize <= buffer.length; offset += HashSize) {
+        hashes.push(buffer.toString('hex', offset, offset + HashSize));
+    }
+    return hashes;
+}
+
+// Shared paths either start with the '$otg_cdn$' placeholder for the SVF2 CDN,
+// or are relative to the derivative itself
+function resolveSharedPath(sharedPath, item) {
+    if (sharedPath.startsWith('$otg_cdn$')) {
+        return sharedPath.replace('$otg_cdn$', 'https://cdn.derivative.autodesk.com/cdn');
+    }
+    const urn = decodeURIComponent(new URL(sharedPath, 'file:///' + encodeURI(item.basePath)).pathname.slice(1));
+    return ApsUrl + '/derivativeservice/v2/derivatives/' + encodeURIComponent(urn);
+}
+
+// Leaflet derivatives are pyramids of image tiles, with the full resolution image at 'maxLevel',
+// each lower level having half the resolution, and the whole image fitting into a single tile
+// at the level given by the tile size (for example, level 8 for 256px tiles)
+function getDerivativesLeaflet(item) {
+    const { tileSize, maxLevel, resolution } = item.leaflet;
+    if (!maxLevel || !resolution) {
+        return item.rootFileName ? [{ URI: item.rootFileName }] : [];
+    }
+    const extension = item.mime === 'image/png' ? 'png' : 'jpg';
+    const minLevel = Math.round(Math.log2(tileSize));
+    const assets = [];
+    for (let level = minLevel; level <= maxLevel; level++) {
+        const scale = Math.pow(2, level - maxLevel);
+        const columns = Math.ceil(Math.ceil(resolution[0] * scale) / tileSize);
+        const rows = Math.ceil(Math.ceil(resolution[1] * scale) / tileSize);
+        for (let y = 0; y < rows; y++) {
+            for (let x = 0; x < columns; x++) {
+                assets.push({ URI: `${level}/${x}_${y}.${extension}` });
+            }
+        }
+    }
+    return assets;
 }
 
 module.exports = router;
\ No newline at end of file
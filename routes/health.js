@@ -0,0 +1,24 @@
+const express = require('express');
+const { getMetrics } = require('../services/aps');
+const { getRequestMetrics } = require('../services/log');
+
+const Started = Date.now();
+let router = express.Router();
+
+// GET /api/health
+// Returns the health of the server: its 'status', 'uptime' (in seconds), statistics of the 'requests'
+// it has handled (total count, server errors, and counts by status), and statistics of its calls
+// to Autodesk Platform Services ('aps'), including the number of calls, retries, errors and throttled calls,
+// and their latencies (in ms) for each kind of operation, and whether APS is currently throttling our requests.
+router.get('/api/health', function(req, res) {
+    const aps = getMetrics();
+    res.set('Cache-Control', 'no-store');
+    res.json({
+        status: aps.throttledUntil ? 'throttled' : 'ok',
+        uptime: Math.round((Date.now() - Started) / 1000),
+        requests: getRequestMetrics(),
+        aps
+    });
+});
+
+module.exports = router;
@@ -0,0 +1,114 @@
+const express = require('express');
+const { refreshSession } = require('./auth');
+const { apsFetch, checkResponse } = require('../services/aps');
+const { APS_CALLBACK_URL } = process.env;
+
+let router = express.Router();
+
+// Browsing hubs requires the 3-legged flow, and all routes below need a signed-in user
+router.use('/api/hubs', async function(req, res, next) {
+    if (!APS_CALLBACK_URL) {
+        res.status(404).json({ error: 'Browsing hubs is not enabled, set the APS_CALLBACK_URL env. variable.' });
+        return;
+    }
+    try {
+        const session = await refreshSession(req);
+        if (!session) {
+            res.status(401).json({ error: 'Not signed in.' });
+            return;
+        }
+        req.internalToken = session.internal_token;
+        next();
+    } catch(err) {
+        next(err);
+    }
+});
+
+// GET /api/hubs
+// Returns a JSON array of hubs (ACC, BIM 360, or Fusion Team) available to the signed-in user,
+// with each item in the array containing properties 'id' and 'name'.
+router.get('/api/hubs', async function(req, res, next) {
+    try {
+        const hubs = await getData('/project/v1/hubs', req.internalToken);
+        res.json(hubs.map(hub => ({ id: hub.id, name: hub.attributes.name })));
+    } catch(err) {
+        next(err);
+    }
+});
+
+// GET /api/hubs/:hub_id/projects
+// Returns a JSON array of projects in a hub, with each item in the array
+// containing properties 'id' and 'name'.
+router.get('/api/hubs/:hub_id/projects', async function(req, res, next) {
+    try {
+        const projects = await getData(`/project/v1/hubs/${encodeURIComponent(req.params.hub_id)}/projects`, req.internalToken);
+        res.json(projects.map(project => ({ id: project.id, name: project.attributes.name })));
+    } catch(err) {
+        next(err);
+    }
+});
+
+// GET /api/hubs/:hub_id/projects/:project_id/contents
+// Returns a JSON array of top folders of a project or, when the 'folder_id' query parameter
+// is provided, the content of the folder, with each item in the array containing properties
+// 'id', 'name', and 'type' (either 'folder' or 'item').
+router.get('/api/hubs/:hub_id/projects/:project_id/contents', async function(req, res, next) {
+    try {
+        const { hub_id, project_id } = req.params;
+        const entries = req.query.folder_id
+            ? await getData(`/data/v1/projects/${encodeURIComponent(project_id)}/folders/${encodeURIComponent(req.query.folder_id)}/contents`, req.internalToken)
+            : await getData(`/project/v1/hubs/${encodeURIComponent(hub_id)}/projects/${encodeURIComponent(project_id)}/topFolders`, req.internalToken);
+        res.json(entries.map(entry => ({
+            id: entry.id,
+            name: entry.attributes.displayName || entry.attributes.name,
+            type: entry.type === 'folders' ? 'folder' : 'item'
+        })));
+    } catch(err) {
+        next(err);
+    }
+});
+
+// GET /api/hubs/:hub_id/projects/:project_id/contents/:item_id/versions
+// Returns a JSON array of versions of an item (newest first), with each item in the array
+// containing properties 'id', 'name', 'version', 'createTime', 'size', and 'urn'
+// (the base64-encoded URN of the version's derivatives, ready to be loaded in the viewer).
+router.get('/api/hubs/:hub_id/projects/:project_id/contents/:item_id/versions', async function(req, res, next) {
+    try {
+        const { project_id, item_id } = req.params;
+        const versions = await getData(`/data/v1/projects/${encodeURIComponent(project_id)}/items/${encodeURIComponent(item_id)}/versions`, req.internalToken);
+        res.json(versions.map(version => ({
+            id: version.id,
+            name: version.attributes.displayName || version.attributes.name,
+            version: version.attributes.versionNumber,
+            createTime: version.attributes.createTime,
+            size: version.attributes.storageSize,
+            urn: getVersionUrn(version)
+        })));
+    } catch(err) {
+        next(err);
+    }
+});
+
+/**
+ * Fetches all pages of a Data Management API collection, returning the items of its 'data' array.
+ */
+async function getData(url, token) {
+    let data = [];
+    while (url) {
+        const res = await apsFetch('data', url, {
+            headers: { 'Authorization': 'Bearer ' + token }
+        });
+        await checkResponse(res, `Could not fetch ${url}`);
+        const json = await res.json();
+        data = data.concat(json.data);
+        url = json.links && json.links.next ? json.links.next.href : null;
+    }
+    return data;
+}
+
+function getVersionUrn(version) {
+    const derivatives = version.relationships && version.relationships.derivatives;
+    return derivatives && derivatives.data ? derivatives.data.id : Buffer.from(version.id).toString('base64url');
+}
+
+module.exports = router;
@@ -0,0 +1,160 @@
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const { requireSession } = require('./auth');
+const { isUrn } = require('../services/aps');
+const { APS_ISSUES_FILE } = process.env;
+
+const IssuesFile = path.resolve(APS_ISSUES_FILE || 'issues.json');
+const IdPattern = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i; // Issue IDs are UUIDs generated by clients
+let router = express.Router();
+router.use('/api/models/:urn/issues', requireSession, express.json({ limit: '1mb' }));
+
+// URNs and issue IDs are keys in the issue store, so only values of the expected shape are accepted
+router.param('urn', function(req, res, next, urn) {
+    if (!isUrn(urn)) {
+        res.status(400).json({ error: 'Invalid model URN.' });
+        return;
+    }
+    next();
+});
+router.param('id', function(req, res, next, id) {
+    if (!IdPattern.test(id)) {
+        res.status(400).json({ error: 'Invalid issue ID.' });
+        return;
+    }
+    next();
+});
+
+// GET /api/models/:urn/issues
+// Returns a JSON array of issues of a model, with each item in the array containing properties
+// 'id', 'title', 'description', 'status' ('open' or 'closed'), 'position' (in model coordinates),
+// 'dbId', 'viewable' (GUID of the 3D view or 2D sheet), 'state' (viewer state when the issue was created),
+// 'markup' (SVG drawn with the viewer's MarkupsCore extension over that state, if any),
+// 'version' (incremented with every change), 'updated', and 'updatedBy'. Deleted issues are kept
+// (with the 'deleted' property set to true) so that clients can remove them from their local copies.
+router.get('/api/models/:urn/issues', async function(req, res, next) {
+    try {
+        const issues = await loadIssues();
+        res.json(Object.values(issues[req.params.urn] || {}));
+    } catch(err) {
+        next(err);
+    }
+});
+
+// PUT /api/models/:urn/issues/:id
+// Creates or updates an issue. The 'baseVersion' property of the body must match the current 'version'
+// of the issue on the server (or be 0 for new issues), otherwise the issue has been changed by someone else
+// in the meantime, and the server responds with 409 Conflict and the current copy of the issue.
+router.put('/api/models/:urn/issues/:id', async function(req, res, next) {
+    if (!req.is('application/json') || !req.body || typeof req.body !== 'object' || Array.isArray(req.body)) {
+        res.status(400).json({ error: 'Expected a JSON object.' });
+        return;
+    }
+    const baseVersion = parseVersion(req.body.baseVersion);
+    if (baseVersion === null) {
+        res.status(400).json({ error: 'Invalid base version.' });
+        return;
+    }
+    try {
+        const { title, description, status, position, dbId, viewable, state, markup } = req.body;
+        const issue = await updateIssue(req.params.urn, req.params.id, baseVersion, {
+            title, description, status: status || 'open', position, dbId, viewable, state, markup, deleted: false
+        }, req.session && req.session.user);
+        res.status(issue.conflict ? 409 : 200).json(issue.conflict ? { error: 'Issue has been changed by someone else.', issue: issue.current } : issue);
+    } catch(err) {
+        next(err);
+    }
+});
+
+// DELETE /api/models/:urn/issues/:id
+// Deletes an issue, with the same conflict detection as PUT /api/models/:urn/issues/:id
+// (the expected version is provided in the 'baseVersion' query parameter).
+router.delete('/api/models/:urn/issues/:id', async function(req, res, next) {
+    const baseVersion = parseVersion(req.query.baseVersion);
+    if (baseVersion === null) {
+        res.status(400).json({ error: 'Invalid base version.' });
+        return;
+    }
+    try {
+        const issue = await updateIssue(req.params.urn, req.params.id, baseVersion, {
+            deleted: true
+        }, req.session && req.session.user);
+        res.status(issue.conflict ? 409 : 200).json(issue.conflict ? { error: 'Issue has been changed by someone else.', issue: issue.current } : issue);
+    } catch(err) {
+        next(err);
+    }
+});
+
+// Returns the version (a non-negative integer, sent as a number or a numeric string) clients expect an issue
+// to have, 0 when it's missing (for new issues), or null when it's invalid
+function parseVersion(value) {
+    if (value === undefined || value === null || value === '') {
+        return 0;
+    }
+    const version = typeof value === 'string' && /^\d+$/.test(value) ? parseInt(value, 10) : value;
+    return Number.isSafeInteger(version) && version >= 0 ? version : null;
+}
+
+// The store is read once, and concurrent requests share the same pending read,
+// so that none of them can replace the issues another one has already changed
+let _issues = null;
+function loadIssues() {
+    if (!_issues) {
+        _issues = readIssues();
+        _issues.catch(() => { _issues = null; }); // Try again with the next request
+    }
+    return _issues;
+}
+
+// Issues are kept in objects without a prototype (keyed by URN, and then by issue ID),
+// so that no key can reach the properties of `Object.prototype`
+async function readIssues() {
+    let json = {};
+    try {
+        json = JSON.parse(await fs.promises.readFile(IssuesFile, 'utf8'));
+    } catch(err) {
+        if (err.code !== 'ENOENT') {
+            throw err;
+        }
+    }
+    const issues = Object.create(null);
+    for (const [urn, modelIssues] of Object.entries(json)) {
+        issues[urn] = Object.assign(Object.create(null), modelIssues);
+    }
+    return issues;
+}
+
+/**
+ * Applies changes to an issue unless its current version differs from `baseVersion`,
+ * in which case `{ conflict: true, current }` is returned instead of the updated issue.
+ */
+async function updateIssue(urn, id, baseVersion, changes, user) {
+    const issues = await loadIssues();
+    const modelIssues = issues[urn] = issues[urn] || Object.create(null);
+    const current = modelIssues[id];
+    if ((current ? current.version : 0) !== baseVersion) {
+        return { conflict: true, current: current || null };
+    }
+    const issue = Object.assign({}, current, changes, {
+        id,
+        version: baseVersion + 1,
+        updated: new Date().toISOString(),
+        updatedBy: user ? user.name : null
+    });
+    modelIssues[id] = issue;
+    await saveIssues(issues);
+    return issue;
+}
+
+let _saving = Promise.resolve();
+function saveIssues(issues) {
+    // Writes are serialized, and go through a temporary file so that the store is never left half-written
+    _saving = _saving.catch(() => {}).then(async () => {
+        await fs.promises.writeFile(IssuesFile + '.tmp', JSON.stringify(issues, null, 2));
+        await fs.promises.rename(IssuesFile + '.tmp', IssuesFile);
+    });
+    return _saving;
+}
+
+module.exports = router;
@@ -0,0 +1,184 @@
+const fs = require('fs');
+const path = require('path');
+const fetch = require('node-fetch');
+const express = require('express');
+const log = require('../services/log');
+const { APS_VIEWER_VERSION, APS_VIEWER_ENVIRONMENTS, APS_VIEWER_EXTENSIONS, APS_VIEWER_LOCALES } = process.env;
+
+const PublicDir = path.join(__dirname, '..', 'public');
+const ViewersUrl = 'https://developer.api.autodesk.com/modelderivative/v2/viewers';
+const AppUrls = [
+    '/',
+    '/index.html',
+    '/fonts/Artifakt_Element_Regular.woff2',
+    '/javascript/main.js',
+    '/javascript/search-worker.js',
+    '/stylesheets/main.css'
+];
+const ViewerFiles = [
+    'style.css',
+    'viewer3D.js',
+    'lmvworker.js',
+    'res/textures/VCarrows.png',
+    'res/textures/VCarrowsS0.png',
+    'res/textures/VCarrowsS1.png',
+    'res/textures/VCcontext.png',
+    'res/textures/VCcontextS.png',
+    'res/textures/VCedge1.png',
+    'res/textures/VChome.png',
+    'res/textures/VChomeS.png',
+    'res/textures/cardinalPoint.png',
+    'res/textures/centerMarker_X.png',
+    'res/textures/radial-fade-grid.png'
+];
+// Names of environments (light presets) available in the viewer, used in the names of their
+// irradiance (*_irr.logluv.dds) and radiance (*_mipdrop.logluv.dds) maps
+const ViewerEnvironments = [
+    'CityNight', 'CoolLight', 'DarkSky', 'GreyRoom', 'GridLight', 'Harbor', 'IDViz', 'InfinityPool', 'Night', 'Parking',
+    'PhotoBooth', 'Plaza', 'Reflection', 'RimHighlights', 'RiverRoad', 'SharpHighlights', 'SnowField', 'SoftLight',
+    'TranquilityBlue', 'WarmLight', 'boardwalk', 'crossroads', 'field', 'glacier', 'riverbank', 'seaport'
+];
+// Viewer extensions that are loaded on demand from the extensions/<folder> subfolder of the viewer,
+// with the extensions they depend on, and any additional files they load
+const ViewerExtensions = {
+    'Autodesk.Measure': { folder: 'Measure', dependencies: ['Autodesk.Snapping'] },
+    'Autodesk.Snapping': { folder: 'Snapping' },
+    'Autodesk.Section': { folder: 'Section' },
+    'Autodesk.BimWalk': { folder: 'BimWalk' },
+    'Autodesk.DocumentBrowser': { folder: 'DocumentBrowser' },
+    'Autodesk.Viewing.MarkupsCore': { folder: 'Markup' },
+    'Autodesk.Viewing.MarkupsGui': { folder: 'Markup', dependencies: ['Autodesk.Viewing.MarkupsCore'] },
+    'Autodesk.DataVisualization': { folder: 'DataVisualization' },
+    'Autodesk.PDF': { folder: 'PDF', files: ['pdf.worker.js'] }
+};
+const Environments = parseList(APS_VIEWER_ENVIRONMENTS, ['SharpHighlights', 'boardwalk']);
+const Extensions = parseList(APS_VIEWER_EXTENSIONS, ['Autodesk.Measure', 'Autodesk.Section', 'Autodesk.BimWalk', 'Autodesk.DocumentBrowser', 'Autodesk.PDF', 'Autodesk.Viewing.MarkupsCore']);
+const Locales = parseList(APS_VIEWER_LOCALES, ['en']);
+let router = express.Router();
+
+// GET /
+// GET /index.html
+// GET /service-worker.js
+// Serves the page and the service worker with the viewer version pinned to $APS_VIEWER_VERSION
+// (when the env. variable is not set, the files are served as they are, with their default version).
+// Changing the version changes the content of the service worker, so browsers install the new worker,
+// which then caches the new viewer assets and purges the old ones when activated.
+router.get(['/', '/index.html', '/service-worker.js'], async function(req, res, next) {
+    if (!APS_VIEWER_VERSION) {
+        next();
+        return;
+    }
+    try {
+        const filename = req.path === '/' ? 'index.html' : req.path.slice(1);
+        res.type(path.extname(filename));
+        res.set('Cache-Control', 'no-cache');
+        res.send(await renderFile(filename));
+    } catch(err) {
+        next(err);
+    }
+});
+
+// GET /api/precache?viewer=<version>
+// Returns the list of static assets the service worker should cache when installed, including the files
+// of our app, and the files of the given viewer version (defaults to $APS_VIEWER_VERSION): its core scripts,
+// styles, textures and locales ($APS_VIEWER_LOCALES), the selected environments ($APS_VIEWER_ENVIRONMENTS),
+// and the enabled extensions ($APS_VIEWER_EXTENSIONS) with their dependencies, styles and locales.
+// The response contains properties 'viewer' (the version), 'extensions' (IDs of the extensions), and 'urls'.
+// Files that may or may not exist in a specific viewer version (for example, styles of extensions)
+// are checked, and only the existing ones are included in the list.
+router.get('/api/precache', async function(req, res, next) {
+    try {
+        const version = req.query.viewer || APS_VIEWER_VERSION;
+        if (!version || !/^[\w.]+$/.test(version)) {
+            res.status(400).json({ error: 'Missing or invalid viewer version.' });
+            return;
+        }
+        res.json(await getPrecacheList(version));
+    } catch(err) {
+        next(err);
+    }
+});
+
+let _precacheLists = new Map();
+function getPrecacheList(version) {
+    if (!_precacheLists.has(version)) {
+        const promise = buildPrecacheList(version);
+        promise.catch(() => _precacheLists.delete(version));
+        _precacheLists.set(version, promise);
+    }
+    return _precacheLists.get(version);
+}
+
+async function buildPrecacheList(version) {
+    const baseUrl = `${ViewersUrl}/${version}`;
+    const extensions = resolveExtensions(Extensions);
+    const required = ViewerFiles.concat(
+        Locales.map(locale => `res/locales/${locale}/allstrings.json`),
+        ...Environments.filter(isKnownEnvironment).map(name => [`res/environments/${name}_irr.logluv.dds`, `res/environments/${name}_mipdrop.logluv.dds`]),
+        ...extensions.map(id => [`extensions/${ViewerExtensions[id].folder}/${ViewerExtensions[id].folder}.js`])
+    );
+    const optional = [].concat(...extensions.map((id) => {
+        const { folder, files } = ViewerExtensions[id];
+        return [`extensions/${folder}/${folder}.css`]
+            .concat(Locales.map(locale => `extensions/${folder}/res/locales/${locale}/allstrings.json`))
+            .concat((files || []).map(file => `extensions/${folder}/${file}`));
+    }));
+    const existing = await Promise.all(optional.map(file => exists(`${baseUrl}/${file}`)));
+    const files = new Set(required.concat(optional.filter((file, i) => existing[i])));
+    return {
+        viewer: version,
+        extensions,
+        urls: AppUrls.concat(Array.from(files).map(file => `${baseUrl}/${file}`))
+    };
+}
+
+// Returns IDs of given extensions and all their dependencies, dependencies first
+function resolveExtensions(ids, resolved = []) {
+    for (const id of ids) {
+        const extension = ViewerExtensions[id];
+        if (!extension) {
+            log.warn('Unknown viewer extension', { id });
+            continue;
+        }
+        if (!resolved.includes(id)) {
+            resolveExtensions(extension.dependencies || [], resolved);
+            resolved.push(id);
+        }
+    }
+    return resolved;
+}
+
+function isKnownEnvironment(name) {
+    if (!ViewerEnvironments.includes(name)) {
+        log.warn('Unknown viewer environment', { name });
+        return false;
+    }
+    return true;
+}
+
+async function exists(url) {
+    try {
+        const res = await fetch(url, { method: 'HEAD' });
+        return res.ok;
+    } catch(err) {
+        return true; // We can't tell, so let the service worker try
+    }
+}
+
+function parseList(value, defaults) {
+    return value ? value.split(',').map(item => item.trim()).filter(item => item) : defaults;
+}
+
+let _files = new Map();
+async function renderFile(filename) {
+    if (!_files.has(filename)) {
+        const content = await fs.promises.readFile(path.join(PublicDir, filename), 'utf8');
+        _files.set(filename, content
+            .replace(/(\/modelderivative\/v2\/viewers\/)[^/]+\//g, `$1${APS_VIEWER_VERSION}/`)
+            .replace(/^const VIEWER_VERSION = '[^']*';/m, `const VIEWER_VERSION = '${APS_VIEWER_VERSION}';`));
+    }
+    return _files.get(filename);
+}
+
+module.exports = router;
+module.exports.Extensions = Extensions;
@@ -1,10 +1,26 @@
 const express = require('express');
 const path = require('path');
+const session = require('cookie-session');
+const log = require('./services/log');
+
+if (process.env.APS_CALLBACK_URL && !process.env.SERVER_SESSION_SECRET) {
+    log.error('The SERVER_SESSION_SECRET env. variable is required when APS_CALLBACK_URL is set, as it signs the session cookies.');
+    process.exit(1);
+}
 
 let app = express();
+app.use(log.requestLogger);
+app.use(require('./routes/health'));
+app.use(require('./routes/viewer'));
 app.use(express.static(path.join(__dirname, 'public')));
+if (process.env.APS_CALLBACK_URL) {
+    app.use(session({ secret: process.env.SERVER_SESSION_SECRET, maxAge: 24 * 60 * 60 * 1000 }));
+}
 app.use(require('./routes/auth'));
+app.use(require('./routes/hubs'));
 app.use(require('./routes/data'));
+app.use(require('./routes/issues'));
+app.use(log.errorHandler);
 
 const port = process.env.PORT || 3000;
-app.listen(port, () => { console.log(`Server listening on port ${port}`); });
\ No newline at end of file
+app.listen(port, () => { log.info(`Server listening on port ${port}`); });
\ No newline at end of file
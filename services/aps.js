@@ -0,0 +1,244 @@
+const fetch = require('node-fetch');
+const { SdkManagerBuilder } = require('@aps_sdk/autodesk-sdkmanager');
+const log = require('./log');
+const { APS_BASE_URL, APS_MAX_ATTEMPTS, APS_MAX_CONCURRENCY, APS_TIMEOUT } = process.env;
+
+const ApsUrl = 'https://developer.api.autodesk.com'; // Canonical URL of APS, used in the URLs of derivatives cached by clients
+const BaseUrl = (APS_BASE_URL || ApsUrl).replace(/\/+$/, ''); // URL requests to APS are actually sent to, for example, the APS simulator
+const MaxAttempts = parseInt(APS_MAX_ATTEMPTS) || 4; // Max number of attempts of a single request
+const MaxConcurrency = parseInt(APS_MAX_CONCURRENCY) || 16; // Max number of requests to APS running in parallel
+const Timeout = parseInt(APS_TIMEOUT) || 120000; // Max time (in ms) of a single attempt, including reading its response
+const RetryDelay = 1000; // Delay (in ms) before the first retry, doubled with every following attempt
+const MaxRetryDelay = 60000; // Responses asking us to wait longer than this (in ms) are not retried
+const UrnPattern = /^[A-Za-z0-9+/_-]+={0,2}$/; // Base64 (or base64url) encoded URNs of models
+
+/**
+ * Error returned by (or while calling) Autodesk Platform Services. The `status` is the HTTP status
+ * our server should respond with, and the `code` tells clients what went wrong:
+ * - 'unauthorized': the access token is missing or has expired
+ * - 'forbidden': the user (or the application) is not allowed to access the resource
+ * - 'not_found': the resource does not exist
+ * - 'not_translated': the model has not been translated yet
+ * - 'translation_pending': the translation of the model hasn't finished yet (see `progress`)
+ * - 'translation_failed': the translation of the model has failed or timed out
+ * - 'throttled': APS is rate limiting our requests (see `retryAfter`, in seconds)
+ * - 'aps_error': any other error, including network errors
+ */
+class ApsError extends Error {
+    constructor(message, status, code, details) {
+        super(message);
+        this.name = 'ApsError';
+        this.status = status;
+        this.code = code;
+        Object.assign(this, details);
+    }
+}
+
+let _metrics = new Map(); // Statistics of requests to APS, keyed by operation (see `getMetrics`)
+let _active = 0; // Number of requests currently running
+let _queue = []; // Requests waiting for one of the running ones to finish
+let _throttledUntil = 0; // When (in ms) APS asked us to stop sending requests until
+
+/**
+ * Creates the SDK manager for APS SDK clients, sending their requests to the same base URL as `apsFetch`.
+ */
+function createSdkManager() {
+    const sdkManager = SdkManagerBuilder.create().build();
+    sdkManager.apsConfiguration.baseAddress = new URL(BaseUrl);
+    return sdkManager;
+}
+
+/**
+ * Sends a request to Autodesk Platform Services (`url` is either absolute, or relative to the APS base URL;
+ * absolute URLs of APS are redirected to the base URL as well),
+ * retrying network errors, server errors and throttled requests with exponential backoff, honoring
+ * the Retry-After header. When APS throttles one request, all other requests wait as well. Attempts that take
+ * longer than `Timeout` are aborted (and retried like network errors). The `operation`
+ * (for example, 'manifest') identifies the kind of request in logs and metrics. Returns the response
+ * of the last attempt, whatever its status.
+ */
+async function apsFetch(operation, url, options) {
+    if (url.startsWith(ApsUrl + '/')) {
+        url = url.slice(ApsUrl.length);
+    }
+    url = /^https?:\/\//.test(url) ? url : BaseUrl + url;
+    for (let attempt = 1; ; attempt++) {
+        const wait = _throttledUntil - Date.now();
+        if (wait > 0) {
+            await sleep(wait);
+        }
+        const start = Date.now();
+        let res;
+        await acquire();
+        try {
+            res = await fetch(url, Object.assign({ signal: AbortSignal.timeout(Timeout) }, options));
+        } catch (err) {
+            recordCall(operation, 'network', Date.now() - start, attempt > 1);
+            const message = err.name === 'AbortError' ? `timed out after ${Timeout}ms` : err.message;
+            if (attempt >= MaxAttempts) {
+                throw new ApsError(`Could not reach Autodesk Platform Services (${operation}): ${message}`, 502, 'aps_error');
+            }
+            const delay = RetryDelay * Math.pow(2, attempt - 1);
+            log.warn('APS request failed, retrying', { operation, attempt, delay, error: message });
+            await sleep(delay);
+            continue;
+        } finally {
+            release();
+        }
+        recordCall(operation, res.status, Date.now() - start, attempt > 1);
+        if ((res.status === 429 || res.status >= 500) && attempt < MaxAttempts) {
+            const delay = getRetryDelay(res, attempt);
+            if (delay <= MaxRetryDelay) {
+                if (res.status === 429) {
+                    _throttledUntil = Math.max(_throttledUntil, Date.now() + delay);
+                }
+                log.warn('APS request failed, retrying', { operation, attempt, delay, status: res.status });
+                res.body.resume(); // Drain the body of the discarded response, so that its connection can be reused
+                await sleep(delay);
+                continue;
+            }
+        }
+        return res;
+    }
+}
+
+/**
+ * Throws an `ApsError` describing a failed APS response, or returns the response if it was successful.
+ */
+async function checkResponse(res, message) {
+    if (res.ok) {
+        return res;
+    }
+    let reason = res.statusText;
+    try {
+        const body = await res.json();
+        reason = body.diagnostic || body.reason || body.detail || body.developerMessage || (body.errors && body.errors[0] && body.errors[0].detail) || reason;
+    } catch (err) {
+        // Not a JSON response, use the status text
+    }
+    throw createError(`${message}: ${res.status} ${reason}`, res.status, res.headers.get('retry-after'));
+}
+
+/**
+ * Converts errors thrown by the APS SDKs (with the failed request in `axiosError`)
+ * into `ApsError`s. Other errors are returned as they are.
+ */
+function toApsError(err) {
+    if (!err || !err.axiosError || err instanceof ApsError) {
+        return err;
+    }
+    const response = err.axiosError.response;
+    if (!response) {
+        return new ApsError(`Could not reach Autodesk Platform Services: ${err.message}`, 502, 'aps_error');
+    }
+    return createError(err.message, response.status, response.headers && response.headers['retry-after']);
+}
+
+function createError(message, apsStatus, retryAfter) {
+    switch (apsStatus) {
+        case 401: return new ApsError(message, 401, 'unauthorized');
+        case 403: return new ApsError(message, 403, 'forbidden');
+        case 404: return new ApsError(message, 404, 'not_found');
+        case 429: return new ApsError(message, 429, 'throttled', { retryAfter: parseRetryAfter(retryAfter) || RetryDelay / 1000 });
+        default: return new ApsError(message, 502, 'aps_error');
+    }
+}
+
+/**
+ * Returns statistics of requests to APS since the server started, for each operation: the number of `calls`,
+ * `retries`, failed calls (`errors`) and `throttled` calls, the number of calls by response status (`statuses`),
+ * and the average and maximum `latency` (in ms).
+ */
+function getMetrics() {
+    const metrics = {};
+    for (const [operation, stats] of _metrics) {
+        metrics[operation] = {
+            calls: stats.calls,
+            retries: stats.retries,
+            errors: stats.errors,
+            throttled: stats.throttled,
+            statuses: stats.statuses,
+            latency: { avg: Math.round(stats.totalTime / stats.calls), max: stats.maxTime }
+        };
+    }
+    return {
+        active: _active,
+        queued: _queue.length,
+        throttledUntil: _throttledUntil > Date.now() ? new Date(_throttledUntil).toISOString() : null,
+        operations: metrics
+    };
+}
+
+function recordCall(operation, status, duration, retry) {
+    let stats = _metrics.get(operation);
+    if (!stats) {
+        stats = { calls: 0, retries: 0, errors: 0, throttled: 0, statuses: {}, totalTime: 0, maxTime: 0 };
+        _metrics.set(operation, stats);
+    }
+    stats.calls++;
+    stats.retries += retry ? 1 : 0;
+    stats.errors += status === 'network' || status >= 500 ? 1 : 0;
+    stats.throttled += status === 429 ? 1 : 0;
+    stats.statuses[status] = (stats.statuses[status] || 0) + 1;
+    stats.totalTime += duration;
+    stats.maxTime = Math.max(stats.maxTime, duration);
+    log.debug('APS request', { operation, status, duration });
+}
+
+// Retry-After is either a number of seconds, or an HTTP date
+function parseRetryAfter(value) {
+    if (!value) {
+        return null;
+    }
+    const seconds = Number(value);
+    if (!isNaN(seconds)) {
+        return Math.max(seconds, 0);
+    }
+    const date = Date.parse(value);
+    return isNaN(date) ? null : Math.max(Math.ceil((date - Date.now()) / 1000), 0);
+}
+
+function getRetryDelay(res, attempt) {
+    const retryAfter = parseRetryAfter(res.headers.get('retry-after'));
+    return retryAfter !== null ? retryAfter * 1000 : RetryDelay * Math.pow(2, attempt - 1);
+}
+
+function acquire() {
+    if (_active < MaxConcurrency) {
+        _active++;
+        return Promise.resolve();
+    }
+    return new Promise(resolve => _queue.push(resolve));
+}
+
+function release() {
+    const next = _queue.shift();
+    if (next) {
+        next(); // The slot is handed over to the next request
+    } else {
+        _active--;
+    }
+}
+
+/**
+ * Checks whether a value from a request (for example, a route parameter) is a base64-encoded model URN.
+ */
+function isUrn(urn) {
+    return typeof urn === 'string' && UrnPattern.test(urn) && Buffer.from(urn, 'base64').toString().startsWith('urn:');
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+module.exports = {
+    ApsUrl,
+    BaseUrl,
+    ApsError,
+    createSdkManager,
+    apsFetch,
+    checkResponse,
+    toApsError,
+    getMetrics,
+    isUrn
+};
@@ -0,0 +1,78 @@
+const { LOG_LEVEL } = process.env;
+
+const Levels = ['debug', 'info', 'warn', 'error'];
+const MinLevel = Levels.includes(LOG_LEVEL) ? Levels.indexOf(LOG_LEVEL) : Levels.indexOf('info'); // Debug messages are only logged when LOG_LEVEL=debug
+
+let _requests = { total: 0, errors: 0, statuses: {} }; // Statistics of requests handled by our server
+
+/**
+ * Writes a structured log entry (a single line of JSON with the time, level, message, and given fields)
+ * to stdout, or to stderr for warnings and errors.
+ */
+function write(level, message, fields) {
+    if (Levels.indexOf(level) < MinLevel) {
+        return;
+    }
+    const entry = JSON.stringify(Object.assign({ time: new Date().toISOString(), level, message }, fields));
+    if (level === 'warn' || level === 'error') {
+        process.stderr.write(entry + '\n');
+    } else {
+        process.stdout.write(entry + '\n');
+    }
+}
+
+// Logs every request handled by the server once the response has been sent, with its status and duration
+function requestLogger(req, res, next) {
+    const start = Date.now();
+    res.on('finish', () => {
+        _requests.total++;
+        _requests.errors += res.statusCode >= 500 ? 1 : 0;
+        _requests.statuses[res.statusCode] = (_requests.statuses[res.statusCode] || 0) + 1;
+        write(res.statusCode >= 500 ? 'warn' : 'info', 'request', {
+            method: req.method,
+            path: req.originalUrl,
+            status: res.statusCode,
+            duration: Date.now() - start,
+            user: req.session && req.session.user ? req.session.user.id : undefined
+        });
+    });
+    next();
+}
+
+// Responds to failed requests with a JSON object containing the 'error' message and its 'code'
+// (see the `ApsError` class for the codes of errors of Autodesk Platform Services), and
+// the 'retryAfter' (in seconds) and 'progress' properties where applicable.
+function errorHandler(err, req, res, next) {
+    const { ApsError, toApsError } = require('./aps'); // Required here as the APS module logs through this one
+    err = toApsError(err);
+    if (res.headersSent) {
+        next(err);
+        return;
+    }
+    const known = err instanceof ApsError;
+    const status = known ? err.status : (err.status || err.statusCode || 500);
+    write(status >= 500 ? 'error' : 'warn', err.message, { method: req.method, path: req.originalUrl, status, code: err.code, stack: known ? undefined : err.stack });
+    if (err.retryAfter) {
+        res.set('Retry-After', String(Math.ceil(err.retryAfter)));
+    }
+    res.status(status).json({
+        error: known || status < 500 ? err.message : 'Internal server error.',
+        code: known ? err.code : (status < 500 ? 'bad_request' : 'internal_error'),
+        retryAfter: known ? err.retryAfter : undefined,
+        progress: known ? err.progress : undefined
+    });
+}
+
+function getRequestMetrics() {
+    return _requests;
+}
+
+module.exports = {
+    debug: (message, fields) => write('debug', message, fields),
+    info: (message, fields) => write('info', message, fields),
+    warn: (message, fields) => write('warn', message, fields),
+    error: (message, fields) => write('error', message, fields),
+    requestLogger,
+    errorHandler,
+    getRequestMetrics
+};
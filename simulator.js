@@ -0,0 +1,132 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const fetch = require('node-fetch');
+const express = require('express');
+const log = require('./services/log');
+const { APS_SIMULATOR_MODE, APS_FIXTURES_DIR, SIMULATOR_PORT } = process.env;
+
+// Local stand-in for Autodesk Platform Services. In the 'record' mode, requests are forwarded to APS,
+// and the responses are stored as fixtures in $APS_FIXTURES_DIR; in the 'replay' mode (default),
+// requests are answered from the fixtures without any network access. Point our server to the simulator
+// with the APS_BASE_URL env. variable (for example, APS_BASE_URL=http://localhost:3001).
+// Only requests to developer.api.autodesk.com are simulated; assets of SVF2 models shared through
+// cdn.derivative.autodesk.com are always requested from the CDN, so the replay mode only supports SVF models.
+const UpstreamUrl = 'https://developer.api.autodesk.com';
+const Mode = APS_SIMULATOR_MODE === 'record' ? 'record' : 'replay';
+const FixturesDir = path.resolve(APS_FIXTURES_DIR || 'fixtures');
+const RecordedHeaders = ['content-type', 'etag', 'last-modified']; // Response headers stored with the fixtures
+const ForwardedHeaders = ['authorization', 'content-type', 'accept', 'x-ads-force', 'x-ads-derivative-format', 'x-user-id']; // Request headers forwarded to APS
+const SimulatedToken = 'simulated-access-token'; // Replaces the tokens in recorded responses, so that no secrets are stored
+
+let app = express();
+app.use(log.requestLogger);
+app.use(express.raw({ type: () => true, limit: '100mb' }));
+
+// The viewer and the service worker load derivatives from the simulator directly, so allow cross-origin requests
+app.use(function(req, res, next) {
+    res.set('Access-Control-Allow-Origin', '*');
+    res.set('Access-Control-Allow-Headers', ForwardedHeaders.join(', '));
+    if (req.method === 'OPTIONS') {
+        res.status(204).end();
+        return;
+    }
+    next();
+});
+
+app.use(async function(req, res, next) {
+    try {
+        const key = getFixtureKey(req);
+        const fixture = Mode === 'record' ? await recordFixture(req, key) : await loadFixture(key);
+        if (!fixture) {
+            log.warn('Request has not been recorded', { key });
+            res.status(404).json({ reason: `Request has not been recorded: ${key}` });
+            return;
+        }
+        res.status(fixture.status).set(fixture.headers).send(fixture.body);
+    } catch(err) {
+        next(err);
+    }
+});
+
+app.use(log.errorHandler);
+
+// Requests are identified by their method, path and query (the SDKs send some paths with a double slash),
+// and requests with a body by the hash of the body as well, except for token requests, as their body
+// contains client credentials and authorization codes that change every time
+function getFixtureKey(req) {
+    const url = req.originalUrl.replace(/\/{2,}/g, '/');
+    const body = Buffer.isBuffer(req.body) ? req.body : null;
+    if (body && body.length > 0 && !url.startsWith('/authentication/')) {
+        return `${req.method} ${url} ${crypto.createHash('sha1').update(body).digest('hex')}`;
+    }
+    return `${req.method} ${url}`;
+}
+
+function getFixturePath(key) {
+    return path.join(FixturesDir, crypto.createHash('sha1').update(key).digest('hex'));
+}
+
+/**
+ * Forwards a request to APS, and stores the response as a fixture, unless it's a transient failure
+ * (throttling or a server error). Returns the response as it was received.
+ */
+async function recordFixture(req, key) {
+    const headers = {};
+    for (const name of ForwardedHeaders) {
+        if (req.headers[name]) {
+            headers[name] = req.headers[name];
+        }
+    }
+    const body = Buffer.isBuffer(req.body) && req.body.length > 0 ? req.body : undefined;
+    const res = await fetch(UpstreamUrl + req.originalUrl.replace(/\/{2,}/g, '/'), { method: req.method, headers, body });
+    const fixture = { key, status: res.status, headers: {}, body: await res.buffer() };
+    for (const name of RecordedHeaders) {
+        if (res.headers.has(name)) {
+            fixture.headers[name] = res.headers.get(name);
+        }
+    }
+    if (res.status !== 429 && res.status < 500) {
+        await saveFixture(fixture);
+    }
+    return fixture;
+}
+
+async function saveFixture(fixture) {
+    const filename = getFixturePath(fixture.key);
+    const body = fixture.key.includes(' /authentication/') ? sanitizeTokens(fixture.body) : fixture.body;
+    await fs.promises.mkdir(FixturesDir, { recursive: true });
+    await fs.promises.writeFile(filename + '.body', body);
+    await fs.promises.writeFile(filename + '.json', JSON.stringify({ key: fixture.key, status: fixture.status, headers: fixture.headers }, null, 2));
+    log.info('Recorded fixture', { key: fixture.key, status: fixture.status });
+}
+
+async function loadFixture(key) {
+    const filename = getFixturePath(key);
+    try {
+        const { status, headers } = JSON.parse(await fs.promises.readFile(filename + '.json', 'utf8'));
+        return { key, status, headers, body: await fs.promises.readFile(filename + '.body') };
+    } catch(err) {
+        if (err.code === 'ENOENT') {
+            return null;
+        }
+        throw err;
+    }
+}
+
+function sanitizeTokens(body) {
+    try {
+        const json = JSON.parse(body.toString('utf8'));
+        for (const name of ['access_token', 'refresh_token', 'id_token']) {
+            if (json[name]) {
+                json[name] = SimulatedToken;
+            }
+        }
+        return Buffer.from(JSON.stringify(json));
+    } catch(err) {
+        return body;
+    }
+}
+
+const port = SIMULATOR_PORT || 3001;
+app.listen(port, () => { log.info(`APS simulator (${Mode}) listening on port ${port}`, { fixtures: FixturesDir }); });